@@ -0,0 +1,1058 @@
+import { useEffect, useState } from "react";
+import {
+  DEFAULT_ALERT_PROFILE,
+  MAX_SOUND_BYTES,
+  MESSAGE_PLACEHOLDERS,
+  SNOOZE_OPTIONS,
+  TONE_PATTERNS,
+} from "../util/alertProfile";
+import { getSpeechVoices } from "../util/getUtils";
+import {
+  DEFAULT_DWELL_MINUTES,
+  DEFAULT_ETA_MINUTES,
+  DEFAULT_REARM,
+  DEFAULT_ROUTE_TRIGGER,
+  DEFAULT_THRESHOLDS,
+  isValidScheduleWindow,
+} from "../public/geofence";
+
+const MIN_RADIUS = 10;
+const MAX_RADIUS = 50000;
+const MAX_NAME_LENGTH = 100;
+
+const DAY_LABELS = ["S", "M", "T", "W", "T", "F", "S"];
+
+const deviceTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+// Weekday mornings in the device's time zone, a starting point users can adjust
+const createDefaultSchedule = () => ({
+  days: [1, 2, 3, 4, 5],
+  windows: [{ start: "07:00", end: "10:00" }],
+  timeZone: deviceTimeZone(),
+  startDate: null,
+  endDate: null,
+});
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const timeZoneOptions = () =>
+  typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : null;
+
+// Default field values for a new alarm at a location
+export function createAlarmDraft(overrides = {}) {
+  return {
+    name: "",
+    radius: 100,
+    triggerMode: "enter",
+    dwellMinutes: DEFAULT_DWELL_MINUTES,
+    etaMinutes: DEFAULT_ETA_MINUTES,
+    type: "persistent",
+    expiresAt: null,
+    sound: true,
+    notes: "",
+    schedule: null,
+    rearm: { ...DEFAULT_REARM },
+    thresholds: { ...DEFAULT_THRESHOLDS },
+    enabled: true,
+    groupId: null,
+    alert: null,
+    ...overrides,
+  };
+}
+
+// ISO string <-> value of a datetime-local input (which has no timezone)
+const toLocalInputValue = (iso) => {
+  if (!iso) return "";
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 16);
+};
+
+const fromLocalInputValue = (value) =>
+  value ? new Date(value).toISOString() : null;
+
+// Returns a map of field -> error message, empty when the draft can be saved
+function validateDraft(draft) {
+  const errors = {};
+  const name = (draft.name || "").trim();
+
+  if (!name) {
+    errors.name = "Give the alarm a name";
+  } else if (name.length > MAX_NAME_LENGTH) {
+    errors.name = `Keep the name under ${MAX_NAME_LENGTH} characters`;
+  }
+
+  if (draft.shape !== "polygon") {
+    const radius = Number(draft.radius);
+    if (!Number.isInteger(radius) || radius < MIN_RADIUS || radius > MAX_RADIUS) {
+      errors.radius = `Radius must be a whole number between ${MIN_RADIUS} and ${MAX_RADIUS} meters`;
+    }
+  }
+
+  if (draft.shape === "route") {
+    const trigger = { ...DEFAULT_ROUTE_TRIGGER, ...(draft.routeTrigger || {}) };
+    if (!draft.stops || draft.stops.length < 2) {
+      errors.stops = "A route needs at least two stops";
+    } else if (draft.stops.some((stop) => !(stop.name || "").trim())) {
+      errors.stops = "Every stop needs a name";
+    } else if (trigger.mode === "stops") {
+      const stopsBefore = Number(trigger.stopsBefore);
+      if (!Number.isInteger(stopsBefore) || stopsBefore < 0 || stopsBefore >= draft.stops.length) {
+        errors.stops = `Stops before must be between 0 and ${draft.stops.length - 1}`;
+      }
+    } else {
+      const minutesBefore = Number(trigger.minutesBefore);
+      if (!Number.isInteger(minutesBefore) || minutesBefore < 1 || minutesBefore > 120) {
+        errors.stops = "Minutes before must be between 1 and 120";
+      }
+    }
+  } else if (draft.triggerMode === "dwell") {
+    const minutes = Number(draft.dwellMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      errors.dwellMinutes = "Dwell time must be at least 1 minute";
+    }
+  } else if (draft.triggerMode === "eta") {
+    const minutes = Number(draft.etaMinutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 120) {
+      errors.etaMinutes = "Minutes before arrival must be between 1 and 120";
+    }
+  }
+
+  if (draft.expiresAt && new Date(draft.expiresAt) <= new Date()) {
+    errors.expiresAt = "Expiry must be in the future";
+  }
+
+  const rearm = draft.rearm;
+  if (draft.type === "persistent" && rearm) {
+    if (rearm.mode === "leave") {
+      const distance = Number(rearm.distance);
+      if (!Number.isInteger(distance) || distance < 0 || distance > 5000) {
+        errors.rearm = "Re-arm distance must be between 0 and 5000 meters";
+      }
+    } else if (rearm.mode === "timer") {
+      const minutes = Number(rearm.minutes);
+      if (!Number.isInteger(minutes) || minutes < 1) {
+        errors.rearm = "Re-arm time must be at least 1 minute";
+      }
+    }
+  }
+
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...(draft.thresholds || {}) };
+  const enterMargin = Number(thresholds.enterMargin);
+  const exitMargin = Number(thresholds.exitMargin);
+  const requiredFixes = Number(thresholds.requiredFixes);
+  if (
+    !Number.isInteger(enterMargin) || enterMargin < 0 || enterMargin > 1000 ||
+    !Number.isInteger(exitMargin) || exitMargin < 0 || exitMargin > 1000
+  ) {
+    errors.thresholds = "Margins must be between 0 and 1000 meters";
+  } else if (exitMargin < enterMargin) {
+    errors.thresholds = "The exit margin can't be smaller than the enter margin";
+  } else if (!Number.isInteger(requiredFixes) || requiredFixes < 1 || requiredFixes > 10) {
+    errors.thresholds = "Consecutive fixes must be between 1 and 10";
+  }
+
+  const alert = draft.alert;
+  if (alert && alert.tone === "custom") {
+    if (!alert.file && !alert.soundId) {
+      errors.alert = "Pick an audio file for the custom sound";
+    } else if (alert.file && alert.file.size > MAX_SOUND_BYTES) {
+      errors.alert = `Audio files can be up to ${MAX_SOUND_BYTES / 1024 / 1024} MB`;
+    }
+  }
+
+  const schedule = draft.schedule;
+  if (schedule) {
+    if (!schedule.days || schedule.days.length === 0) {
+      errors.schedule = "Pick at least one day";
+    } else if (!schedule.windows.every(isValidScheduleWindow)) {
+      errors.schedule = "Every time range needs a different start and end";
+    } else if (!isValidTimeZone(schedule.timeZone)) {
+      errors.schedule = "Unknown time zone";
+    } else if (
+      schedule.startDate &&
+      schedule.endDate &&
+      schedule.startDate > schedule.endDate
+    ) {
+      errors.schedule = "The start date must be before the end date";
+    }
+  }
+
+  return errors;
+}
+
+// How a persistent alarm is armed again after it fires
+// beforeArrival: route and ETA alarms, which fire before the zone is reached
+function RearmFields({ rearm, triggerMode, beforeArrival, error, onChange }) {
+  const updateRearm = (changes) => onChange({ ...rearm, ...changes });
+  const numberValue = (value) => (value === "" ? "" : Number(value));
+
+  return (
+    <div className="editorRow">
+      <label className="editorField">
+        <span>Re-arm</span>
+        <select
+          value={rearm.mode}
+          onChange={(e) => updateRearm({ mode: e.target.value })}
+        >
+          <option value="leave">
+            {triggerMode === "exit"
+              ? "When back inside"
+              : beforeArrival
+              ? "After arriving and leaving"
+              : "After leaving the zone"}
+          </option>
+          <option value="timer">After a delay</option>
+          <option value="manual">Manually only</option>
+        </select>
+        {error && <small className="editorError">{error}</small>}
+      </label>
+
+      {rearm.mode === "leave" && triggerMode !== "exit" && (
+        <label className="editorField">
+          <span>Distance outside (m)</span>
+          <input
+            type="number"
+            min="0"
+            value={rearm.distance}
+            onChange={(e) => updateRearm({ distance: numberValue(e.target.value) })}
+          />
+        </label>
+      )}
+
+      {rearm.mode === "timer" && (
+        <label className="editorField">
+          <span>Minutes</span>
+          <input
+            type="number"
+            min="1"
+            value={rearm.minutes}
+            onChange={(e) => updateRearm({ minutes: numberValue(e.target.value) })}
+          />
+        </label>
+      )}
+    </div>
+  );
+}
+
+// Enter/exit margins and the number of fixes needed before the alarm changes side
+function ThresholdFields({ thresholds, error, onChange }) {
+  const updateThresholds = (key, value) =>
+    onChange({ ...thresholds, [key]: value === "" ? "" : Number(value) });
+
+  return (
+    <details className="editorAdvanced" open={!!error}>
+      <summary>Trigger sensitivity</summary>
+
+      <div className="editorRow">
+        <label className="editorField">
+          <span>Enter margin (m)</span>
+          <input
+            type="number"
+            min="0"
+            value={thresholds.enterMargin}
+            onChange={(e) => updateThresholds("enterMargin", e.target.value)}
+          />
+        </label>
+        <label className="editorField">
+          <span>Exit margin (m)</span>
+          <input
+            type="number"
+            min="0"
+            value={thresholds.exitMargin}
+            onChange={(e) => updateThresholds("exitMargin", e.target.value)}
+          />
+        </label>
+      </div>
+
+      <label className="editorField">
+        <span>Consecutive fixes needed</span>
+        <input
+          type="number"
+          min="1"
+          max="10"
+          value={thresholds.requiredFixes}
+          onChange={(e) => updateThresholds("requiredFixes", e.target.value)}
+        />
+      </label>
+      <small className="editorHint">
+        Leaving only counts once you are past the exit margin, so standing near
+        the edge doesn&apos;t make the alarm flap.
+      </small>
+
+      {error && <small className="editorError">{error}</small>}
+    </details>
+  );
+}
+
+// Tone or uploaded sound, spoken message and voice used when the alarm fires.
+// A newly picked file stays on the draft as alert.file until the alarm is saved.
+function AlertFields({ alert, error, onChange, onPreview }) {
+  const [voices, setVoices] = useState(() => getSpeechVoices());
+  const updateAlert = (changes) => onChange({ ...alert, ...changes });
+
+  // Browsers load their voice list asynchronously
+  useEffect(() => {
+    if (typeof window === "undefined" || !("speechSynthesis" in window)) return;
+    const loadVoices = () => setVoices(getSpeechVoices());
+    window.speechSynthesis.addEventListener("voiceschanged", loadVoices);
+    return () =>
+      window.speechSynthesis.removeEventListener("voiceschanged", loadVoices);
+  }, []);
+
+  const soundName = alert.file ? alert.file.name : alert.soundName;
+
+  return (
+    <details className="editorAdvanced" open={!!error}>
+      <summary>Alert sound & voice</summary>
+
+      <label className="editorCheckbox">
+        <input
+          type="checkbox"
+          checked={alert.ringing}
+          onChange={(e) => updateAlert({ ringing: e.target.checked })}
+        />
+        <span>⏰ Keep ringing until I stop it</span>
+      </label>
+
+      <label className="editorField">
+        <span>Snooze for</span>
+        <select
+          value={alert.snoozeMinutes}
+          onChange={(e) => updateAlert({ snoozeMinutes: Number(e.target.value) })}
+        >
+          {SNOOZE_OPTIONS.map((minutes) => (
+            <option key={minutes} value={minutes}>
+              {minutes} minutes
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="editorField">
+        <span>Sound</span>
+        <select
+          value={alert.tone}
+          onChange={(e) => updateAlert({ tone: e.target.value })}
+        >
+          <option value="none">Voice only</option>
+          {Object.entries(TONE_PATTERNS).map(([key, pattern]) => (
+            <option key={key} value={key}>
+              {pattern.label}
+            </option>
+          ))}
+          <option value="custom">Uploaded audio file</option>
+        </select>
+      </label>
+
+      {alert.tone === "custom" && (
+        <label className="editorField">
+          <span>{soundName ? `File: ${soundName}` : "Audio file"}</span>
+          <input
+            type="file"
+            accept="audio/*"
+            onChange={(e) => {
+              const file = e.target.files && e.target.files[0];
+              if (file) updateAlert({ file });
+            }}
+          />
+        </label>
+      )}
+
+      <label className="editorCheckbox">
+        <input
+          type="checkbox"
+          checked={alert.speak}
+          onChange={(e) => updateAlert({ speak: e.target.checked })}
+        />
+        <span>🗣️ Speak a message</span>
+      </label>
+
+      {alert.speak && (
+        <>
+          <label className="editorField">
+            <span>Message</span>
+            <input
+              type="text"
+              value={alert.message}
+              maxLength={200}
+              onChange={(e) => updateAlert({ message: e.target.value })}
+              placeholder="You are {distance} from {name}"
+            />
+          </label>
+          <small className="editorHint">
+            Leave empty for the default message. Placeholders:{" "}
+            {MESSAGE_PLACEHOLDERS.join(", ")}
+          </small>
+
+          <label className="editorField">
+            <span>Voice</span>
+            <select
+              value={alert.voiceURI}
+              onChange={(e) => updateAlert({ voiceURI: e.target.value })}
+            >
+              <option value="">Device default</option>
+              {voices.map((voice) => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>
+                  {voice.name} ({voice.lang})
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="editorRow">
+            <label className="editorField">
+              <span>Rate: {alert.rate}×</span>
+              <input
+                type="range"
+                min="0.5"
+                max="2"
+                step="0.1"
+                value={alert.rate}
+                onChange={(e) => updateAlert({ rate: Number(e.target.value) })}
+              />
+            </label>
+            <label className="editorField">
+              <span>Pitch: {alert.pitch}</span>
+              <input
+                type="range"
+                min="0"
+                max="2"
+                step="0.1"
+                value={alert.pitch}
+                onChange={(e) => updateAlert({ pitch: Number(e.target.value) })}
+              />
+            </label>
+          </div>
+        </>
+      )}
+
+      <label className="editorField">
+        <span>Volume: {Math.round(alert.volume * 100)}%</span>
+        <input
+          type="range"
+          min="0.1"
+          max="1"
+          step="0.1"
+          value={alert.volume}
+          onChange={(e) => updateAlert({ volume: Number(e.target.value) })}
+        />
+      </label>
+
+      <button type="button" onClick={() => onPreview(alert)} className="scheduleAdd">
+        ▶️ Preview alert
+      </button>
+
+      {error && <small className="editorError">{error}</small>}
+    </details>
+  );
+}
+
+// Ordered stops of a route alarm and how early before the last one it fires
+function RouteFields({ stops, routeTrigger, error, onChange }) {
+  const updateTrigger = (changes) =>
+    onChange({ routeTrigger: { ...routeTrigger, ...changes } });
+  const numberValue = (value) => (value === "" ? "" : Number(value));
+
+  const updateStop = (index, changes) =>
+    onChange({
+      stops: stops.map((stop, i) => (i === index ? { ...stop, ...changes } : stop)),
+    });
+
+  const moveStop = (index, offset) => {
+    const next = [...stops];
+    const [stop] = next.splice(index, 1);
+    next.splice(index + offset, 0, stop);
+    onChange({ stops: next, location: next[next.length - 1].location });
+  };
+
+  const removeStop = (index) => {
+    const next = stops.filter((_, i) => i !== index);
+    if (next.length === 0) return;
+    onChange({ stops: next, location: next[next.length - 1].location });
+  };
+
+  return (
+    <div className="editorRoute">
+      <ol className="routeStops">
+        {stops.map((stop, index) => (
+          <li key={index}>
+            <input
+              type="text"
+              aria-label={`Stop ${index + 1} name`}
+              value={stop.name}
+              onChange={(e) => updateStop(index, { name: e.target.value })}
+            />
+            <button
+              type="button"
+              title="Move up"
+              disabled={index === 0}
+              onClick={() => moveStop(index, -1)}
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              title="Move down"
+              disabled={index === stops.length - 1}
+              onClick={() => moveStop(index, 1)}
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              className="scheduleRemove"
+              title="Remove stop"
+              disabled={stops.length <= 1}
+              onClick={() => removeStop(index)}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ol>
+      <small className="editorHint">The last stop is your destination</small>
+
+      <div className="editorRow">
+        <label className="editorField">
+          <span>Alert me</span>
+          <select
+            value={routeTrigger.mode}
+            onChange={(e) => updateTrigger({ mode: e.target.value })}
+          >
+            <option value="stops">Stops before the end</option>
+            <option value="eta">Minutes before arrival</option>
+          </select>
+        </label>
+
+        {routeTrigger.mode === "stops" ? (
+          <label className="editorField">
+            <span>Stops before</span>
+            <input
+              type="number"
+              min="0"
+              max={Math.max(stops.length - 1, 0)}
+              value={routeTrigger.stopsBefore}
+              onChange={(e) => updateTrigger({ stopsBefore: numberValue(e.target.value) })}
+            />
+          </label>
+        ) : (
+          <label className="editorField">
+            <span>Minutes before</span>
+            <input
+              type="number"
+              min="1"
+              max="120"
+              value={routeTrigger.minutesBefore}
+              onChange={(e) => updateTrigger({ minutesBefore: numberValue(e.target.value) })}
+            />
+          </label>
+        )}
+      </div>
+      {routeTrigger.mode === "eta" && (
+        <small className="editorHint">
+          The ETA uses your current speed and heading, so it only counts while
+          you are moving along the route.
+        </small>
+      )}
+
+      {error && <small className="editorError">{error}</small>}
+    </div>
+  );
+}
+
+// Days, time ranges, time zone and date range in which the alarm is armed
+function ScheduleFields({ schedule, error, onChange }) {
+  const zones = timeZoneOptions();
+
+  const updateSchedule = (changes) => onChange({ ...schedule, ...changes });
+
+  const toggleDay = (day) => {
+    const days = schedule.days.includes(day)
+      ? schedule.days.filter((d) => d !== day)
+      : [...schedule.days, day].sort((a, b) => a - b);
+    updateSchedule({ days });
+  };
+
+  const updateWindow = (index, changes) => {
+    updateSchedule({
+      windows: schedule.windows.map((w, i) =>
+        i === index ? { ...w, ...changes } : w
+      ),
+    });
+  };
+
+  return (
+    <div className="editorSchedule">
+      <label className="editorCheckbox">
+        <input
+          type="checkbox"
+          checked={!!schedule}
+          onChange={(e) =>
+            onChange(e.target.checked ? createDefaultSchedule() : null)
+          }
+        />
+        <span>🗓️ Only armed on a schedule</span>
+      </label>
+
+      {schedule && (
+        <>
+          <div className="scheduleDays">
+            {DAY_LABELS.map((label, day) => (
+              <button
+                key={day}
+                type="button"
+                className={`scheduleDay ${
+                  schedule.days.includes(day) ? "active" : ""
+                }`}
+                onClick={() => toggleDay(day)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {schedule.windows.map((range, index) => (
+            <div className="scheduleWindow" key={index}>
+              <input
+                type="time"
+                aria-label="From"
+                value={range.start}
+                onChange={(e) => updateWindow(index, { start: e.target.value })}
+              />
+              <span>to</span>
+              <input
+                type="time"
+                aria-label="Until"
+                value={range.end}
+                onChange={(e) => updateWindow(index, { end: e.target.value })}
+              />
+              <button
+                type="button"
+                className="scheduleRemove"
+                title="Remove time range"
+                onClick={() =>
+                  updateSchedule({
+                    windows: schedule.windows.filter((_, i) => i !== index),
+                  })
+                }
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            className="scheduleAdd"
+            onClick={() =>
+              updateSchedule({
+                windows: [...schedule.windows, { start: "16:00", end: "19:00" }],
+              })
+            }
+          >
+            + Add time range
+          </button>
+          {schedule.windows.length === 0 && (
+            <small className="editorHint">Armed all day on the selected days</small>
+          )}
+
+          <label className="editorField">
+            <span>Time zone</span>
+            {zones ? (
+              <select
+                value={schedule.timeZone}
+                onChange={(e) => updateSchedule({ timeZone: e.target.value })}
+              >
+                {!zones.includes(schedule.timeZone) && (
+                  <option value={schedule.timeZone}>{schedule.timeZone}</option>
+                )}
+                {zones.map((zone) => (
+                  <option key={zone} value={zone}>
+                    {zone}
+                  </option>
+                ))}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={schedule.timeZone}
+                onChange={(e) => updateSchedule({ timeZone: e.target.value })}
+              />
+            )}
+          </label>
+
+          <div className="editorRow">
+            <label className="editorField">
+              <span>From date</span>
+              <input
+                type="date"
+                value={schedule.startDate || ""}
+                onChange={(e) =>
+                  updateSchedule({ startDate: e.target.value || null })
+                }
+              />
+            </label>
+            <label className="editorField">
+              <span>Until date</span>
+              <input
+                type="date"
+                value={schedule.endDate || ""}
+                onChange={(e) =>
+                  updateSchedule({ endDate: e.target.value || null })
+                }
+              />
+            </label>
+          </div>
+        </>
+      )}
+
+      {error && <small className="editorError">{error}</small>}
+    </div>
+  );
+}
+
+// Form for creating and editing an alarm.
+// Controlled: the parent owns `draft` (so it can preview the zone on the map)
+// and receives every edit through onChange.
+export default function AlarmEditor({
+  draft,
+  groups = [],
+  isNew = true,
+  onChange,
+  onSave,
+  onCancel,
+  onPreviewAlert,
+}) {
+  const [errors, setErrors] = useState({});
+  const isPolygon = draft.shape === "polygon";
+  const isRoute = draft.shape === "route";
+
+  const update = (changes) => {
+    onChange(changes);
+    // Clear errors for the fields being edited
+    setErrors((prev) => {
+      const next = { ...prev };
+      Object.keys(changes).forEach((key) => delete next[key]);
+      return next;
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateDraft(draft);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    const thresholds = { ...DEFAULT_THRESHOLDS, ...(draft.thresholds || {}) };
+    const routeTrigger = { ...DEFAULT_ROUTE_TRIGGER, ...(draft.routeTrigger || {}) };
+    const routeFields = isRoute
+      ? {
+          stops: draft.stops.map((stop) => ({ ...stop, name: stop.name.trim() })),
+          location: draft.stops[draft.stops.length - 1].location,
+          triggerMode: "enter",
+          routeTrigger: {
+            mode: routeTrigger.mode,
+            stopsBefore: Number(routeTrigger.stopsBefore),
+            minutesBefore: Number(routeTrigger.minutesBefore),
+          },
+        }
+      : {};
+    onSave({
+      ...draft,
+      name: draft.name.trim(),
+      radius: isPolygon ? 0 : Number(draft.radius),
+      dwellMinutes:
+        draft.triggerMode === "dwell" ? Number(draft.dwellMinutes) : null,
+      etaMinutes: draft.triggerMode === "eta" ? Number(draft.etaMinutes) : null,
+      expiresAt: draft.type === "persistent" ? draft.expiresAt : null,
+      notes: (draft.notes || "").trim(),
+      groupId: draft.groupId || null,
+      enabled: draft.enabled !== false,
+      alert: draft.alert
+        ? {
+            ...DEFAULT_ALERT_PROFILE,
+            ...draft.alert,
+            message: (draft.alert.message || "").trim(),
+          }
+        : null,
+      rearm: draft.rearm
+        ? {
+            mode: draft.rearm.mode,
+            distance: Number(draft.rearm.distance),
+            minutes: Number(draft.rearm.minutes),
+          }
+        : { ...DEFAULT_REARM },
+      thresholds: {
+        enterMargin: Number(thresholds.enterMargin),
+        exitMargin: Number(thresholds.exitMargin),
+        requiredFixes: Number(thresholds.requiredFixes),
+      },
+      ...routeFields,
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Escape") onCancel();
+  };
+
+  return (
+    <form
+      className="alarmEditor"
+      onSubmit={handleSubmit}
+      onKeyDown={handleKeyDown}
+      noValidate
+    >
+      <h2 className="sectionTitle">
+        {isNew ? "New alarm" : "Edit alarm"}
+      </h2>
+
+      {draft.location && (
+        <p className="editorHint">
+          {isPolygon
+            ? `⬡ Zone with ${draft.polygon.length} points`
+            : isRoute
+            ? `🚏 Route with ${draft.stops.length} stops`
+            : `📍 ${draft.location[0].toFixed(4)}, ${draft.location[1].toFixed(4)}`}
+        </p>
+      )}
+
+      <label className="editorField">
+        <span>Name</span>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => update({ name: e.target.value })}
+          autoFocus
+        />
+        {errors.name && <small className="editorError">{errors.name}</small>}
+      </label>
+
+      {!isPolygon && (
+        <div className="editorField">
+          <span>
+            {isRoute ? "Stop radius" : "Radius"}: {draft.radius || 0}m
+          </span>
+          <div className="editorRadius">
+            <input
+              type="range"
+              aria-label="Radius"
+              min={MIN_RADIUS}
+              max="2000"
+              step="10"
+              value={Math.min(Number(draft.radius) || MIN_RADIUS, 2000)}
+              onChange={(e) => update({ radius: parseInt(e.target.value) })}
+            />
+            <input
+              type="number"
+              aria-label="Radius in meters"
+              min={MIN_RADIUS}
+              max={MAX_RADIUS}
+              value={draft.radius}
+              onChange={(e) =>
+                update({
+                  radius: e.target.value === "" ? "" : Number(e.target.value),
+                })
+              }
+            />
+          </div>
+          {errors.radius && (
+            <small className="editorError">{errors.radius}</small>
+          )}
+        </div>
+      )}
+
+      {isRoute && (
+        <RouteFields
+          stops={draft.stops}
+          routeTrigger={{ ...DEFAULT_ROUTE_TRIGGER, ...(draft.routeTrigger || {}) }}
+          error={errors.stops}
+          onChange={update}
+        />
+      )}
+
+      {!isRoute && (
+        <div className="editorRow">
+          <label className="editorField">
+            <span>Trigger</span>
+            <select
+              value={draft.triggerMode}
+              onChange={(e) => update({ triggerMode: e.target.value })}
+            >
+              <option value="enter">On arrival</option>
+              <option value="exit">On exit</option>
+              <option value="dwell">After time inside</option>
+              <option value="eta">Minutes before arrival</option>
+            </select>
+          </label>
+
+          {draft.triggerMode === "dwell" && (
+            <label className="editorField">
+              <span>Minutes inside</span>
+              <input
+                type="number"
+                min="1"
+                value={draft.dwellMinutes ?? ""}
+                onChange={(e) =>
+                  update({
+                    dwellMinutes:
+                      e.target.value === "" ? "" : Number(e.target.value),
+                  })
+                }
+              />
+              {errors.dwellMinutes && (
+                <small className="editorError">{errors.dwellMinutes}</small>
+              )}
+            </label>
+          )}
+
+          {draft.triggerMode === "eta" && (
+            <label className="editorField">
+              <span>Minutes before</span>
+              <input
+                type="number"
+                min="1"
+                max="120"
+                value={draft.etaMinutes ?? ""}
+                onChange={(e) =>
+                  update({
+                    etaMinutes:
+                      e.target.value === "" ? "" : Number(e.target.value),
+                  })
+                }
+              />
+              {errors.etaMinutes && (
+                <small className="editorError">{errors.etaMinutes}</small>
+              )}
+            </label>
+          )}
+        </div>
+      )}
+
+      {groups.length > 0 && (
+        <label className="editorField">
+          <span>Group</span>
+          <select
+            value={draft.groupId || ""}
+            onChange={(e) => update({ groupId: e.target.value || null })}
+          >
+            <option value="">No group</option>
+            {groups.map((group) => (
+              <option key={group.id} value={group.id}>
+                {group.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <div className="editorRow">
+        <label className="editorField">
+          <span>Type</span>
+          <select
+            value={draft.type}
+            onChange={(e) => update({ type: e.target.value })}
+          >
+            <option value="persistent">🔁 Persistent</option>
+            <option value="oneTime">🔄 One-time use</option>
+          </select>
+        </label>
+
+        {draft.type === "persistent" && (
+          <label className="editorField">
+            <span>Expires</span>
+            <input
+              type="datetime-local"
+              value={toLocalInputValue(draft.expiresAt)}
+              onChange={(e) =>
+                update({ expiresAt: fromLocalInputValue(e.target.value) })
+              }
+            />
+            {errors.expiresAt && (
+              <small className="editorError">{errors.expiresAt}</small>
+            )}
+          </label>
+        )}
+      </div>
+
+      {draft.type === "persistent" && (
+        <RearmFields
+          rearm={{ ...DEFAULT_REARM, ...(draft.rearm || {}) }}
+          triggerMode={draft.shape === "route" ? "enter" : draft.triggerMode}
+          beforeArrival={draft.shape === "route" || draft.triggerMode === "eta"}
+          error={errors.rearm}
+          onChange={(rearm) => update({ rearm })}
+        />
+      )}
+
+      <ThresholdFields
+        thresholds={{ ...DEFAULT_THRESHOLDS, ...(draft.thresholds || {}) }}
+        error={errors.thresholds}
+        onChange={(thresholds) => update({ thresholds })}
+      />
+
+      <ScheduleFields
+        schedule={draft.schedule || null}
+        error={errors.schedule}
+        onChange={(schedule) => update({ schedule })}
+      />
+
+      <label className="editorCheckbox">
+        <input
+          type="checkbox"
+          checked={draft.sound !== false}
+          onChange={(e) => update({ sound: e.target.checked })}
+        />
+        <span>🔊 Play sound alert</span>
+      </label>
+
+      {draft.sound !== false && (
+        <AlertFields
+          alert={{ ...DEFAULT_ALERT_PROFILE, ...(draft.alert || {}) }}
+          error={errors.alert}
+          onChange={(alert) => update({ alert })}
+          onPreview={(alert) => onPreviewAlert({ ...draft, alert })}
+        />
+      )}
+
+      <label className="editorCheckbox">
+        <input
+          type="checkbox"
+          checked={draft.enabled !== false}
+          onChange={(e) => update({ enabled: e.target.checked })}
+        />
+        <span>✅ Enabled (a disabled alarm never fires)</span>
+      </label>
+
+      <label className="editorField">
+        <span>Notes</span>
+        <textarea
+          rows="3"
+          value={draft.notes || ""}
+          onChange={(e) => update({ notes: e.target.value })}
+          placeholder="Optional"
+        />
+      </label>
+
+      <div className="editorActions">
+        <button type="button" onClick={onCancel} className="backupBtn">
+          Cancel
+        </button>
+        <button type="submit" className="backupBtn primary">
+          {isNew ? "Create alarm" : "Save changes"}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,409 @@
+// Search, sort and filter settings of the alarm list, owned by the page so the
+// desktop sidebar and the mobile sheet show the same view
+export const DEFAULT_ALARM_LIST_VIEW = {
+  query: "",
+  sortBy: "created",
+  type: "",
+  groupId: "",
+  enabled: "",
+  triggered: "",
+};
+
+const SORT_OPTIONS = [
+  { value: "created", label: "Newest first" },
+  { value: "name", label: "Name" },
+  { value: "distance", label: "Distance" },
+  { value: "lastTriggered", label: "Last triggered" },
+];
+
+const UNGROUPED_COLOR = "#9ca3af";
+
+// Alarms in a group, groupId null for the ones without a (known) group
+export function getGroupAlarms(alarms, groups, groupId) {
+  return alarms.filter((alarm) =>
+    groupId
+      ? alarm.groupId === groupId
+      : !groups.some((group) => group.id === alarm.groupId)
+  );
+}
+
+const lastTriggeredAt = (alarm) => alarm.lastTriggeredAt || alarm.triggeredAt || 0;
+const createdAt = (alarm) => new Date(alarm.createdAt || 0).getTime();
+
+// Alarms matching every filter that is set and the search text (name or notes)
+export function filterAlarms(alarms, groups, view) {
+  const text = view.query.trim().toLowerCase();
+  const inGroup =
+    view.groupId === ""
+      ? null
+      : new Set(
+          getGroupAlarms(alarms, groups, view.groupId === "none" ? null : view.groupId)
+        );
+
+  return alarms.filter(
+    (alarm) =>
+      (!view.type || (alarm.type || "persistent") === view.type) &&
+      (!inGroup || inGroup.has(alarm)) &&
+      (!view.enabled || (alarm.enabled !== false) === (view.enabled === "enabled")) &&
+      (!view.triggered || !!alarm.triggered === (view.triggered === "triggered")) &&
+      (!text ||
+        alarm.name.toLowerCase().includes(text) ||
+        (alarm.notes || "").toLowerCase().includes(text))
+  );
+}
+
+// Sorted copy of the alarms, getDistance is null when the position is unknown
+export function sortAlarms(alarms, sortBy, getDistance) {
+  const compare = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    created: (a, b) => createdAt(b) - createdAt(a),
+    // Never triggered alarms go last
+    lastTriggered: (a, b) => lastTriggeredAt(b) - lastTriggeredAt(a),
+    distance: getDistance ? (a, b) => getDistance(a) - getDistance(b) : null,
+  }[sortBy];
+
+  return compare ? [...alarms].sort(compare) : alarms;
+}
+
+function AlarmCard({ alarm, describe, distance, actions }) {
+  return (
+    <div
+      className={`alarmCard ${alarm.triggered ? "triggered" : ""} ${
+        alarm.enabled === false ? "disabled" : ""
+      }`}
+    >
+      <div className="alarmInfo">
+        <div className="alarmHeader">
+          <span className={`alarmBell ${alarm.triggered ? "triggered" : ""}`}>
+            {alarm.triggered ? "🚨" : "🔔"}
+          </span>
+          <h3>{alarm.name}</h3>
+        </div>
+        <div className="alarmDetails">
+          <p>{describe.zone(alarm)}</p>
+          <p className="triggerMode">{describe.triggerMode(alarm)}</p>
+          {alarm.schedule && (
+            <p className="scheduleStatus">{describe.schedule(alarm)}</p>
+          )}
+          {alarm.shape === "route" && distance !== null && (
+            <p className="routeProgress">{describe.routeProgress(alarm)}</p>
+          )}
+          {alarm.triggerMode === "eta" && alarm.shape !== "route" && distance !== null && (
+            <p className="routeProgress">{describe.eta(alarm)}</p>
+          )}
+          {alarm.notes && <p className="alarmNotes">📝 {alarm.notes}</p>}
+          <p className="coordinates">
+            {alarm.location[0].toFixed(4)}, {alarm.location[1].toFixed(4)}
+          </p>
+          <p
+            className={`alarmType ${
+              alarm.type === "oneTime" ? "oneTime" : "persistent"
+            }`}
+          >
+            {alarm.type === "oneTime" ? "🔄 One-time use" : "🔁 Persistent"}
+          </p>
+          {alarm.expiresAt && (
+            <p className="expiresAt">
+              ⏰ Expires: {new Date(alarm.expiresAt).toLocaleString()}
+            </p>
+          )}
+          {alarm.enabled === false && (
+            <p className="disabledStatus">⏸️ Disabled, will not fire</p>
+          )}
+          {alarm.triggered && (
+            <p className="triggeredStatus">
+              🚨 TRIGGERED
+              {alarm.type !== "oneTime" && ` (${describe.rearm(alarm)})`}
+            </p>
+          )}
+          {alarm.triggered && alarm.snoozedUntil && (
+            <p className="snoozeStatus">
+              😴 Snoozed until{" "}
+              {new Date(alarm.snoozedUntil).toLocaleTimeString([], {
+                hour: "2-digit",
+                minute: "2-digit",
+              })}
+            </p>
+          )}
+          {distance !== null && (
+            <p className="distance">Distance: {Math.round(distance)}m</p>
+          )}
+        </div>
+      </div>
+
+      <div className="alarmActions">
+        {alarm.triggered && (
+          <button onClick={() => actions.reset(alarm.id)} className="resetBtn">
+            Reset Now
+          </button>
+        )}
+        <button
+          onClick={() => actions.toggleEnabled(alarm.id)}
+          className="editBtn"
+          title={alarm.enabled === false ? "Enable alarm" : "Disable alarm"}
+        >
+          {alarm.enabled === false ? "▶️" : "⏸️"}
+        </button>
+        <button
+          onClick={() => actions.stats(alarm.id)}
+          className="editBtn"
+          title="Alarm stats"
+        >
+          📊
+        </button>
+        <button
+          onClick={() => actions.edit(alarm.id)}
+          className="editBtn"
+          title="Edit alarm"
+        >
+          ✏️
+        </button>
+        <button
+          onClick={() => actions.remove(alarm.id)}
+          className="deleteBtn"
+          title="Delete alarm"
+        >
+          🗑️
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ListToolbar({ view, groups, canSortByDistance, onChange }) {
+  return (
+    <div className="alarmToolbar">
+      <input
+        type="search"
+        value={view.query}
+        onChange={(e) => onChange({ query: e.target.value })}
+        placeholder="🔍 Search names and notes"
+        aria-label="Search alarms"
+      />
+      <div className="alarmToolbarFilters">
+        <select
+          value={view.sortBy}
+          onChange={(e) => onChange({ sortBy: e.target.value })}
+          aria-label="Sort alarms"
+        >
+          {SORT_OPTIONS.map((option) => (
+            <option
+              key={option.value}
+              value={option.value}
+              disabled={option.value === "distance" && !canSortByDistance}
+            >
+              ↕ {option.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={view.type}
+          onChange={(e) => onChange({ type: e.target.value })}
+          aria-label="Filter by type"
+        >
+          <option value="">Any type</option>
+          <option value="persistent">Persistent</option>
+          <option value="oneTime">One-time</option>
+        </select>
+        {groups.length > 0 && (
+          <select
+            value={view.groupId}
+            onChange={(e) => onChange({ groupId: e.target.value })}
+            aria-label="Filter by group"
+          >
+            <option value="">Any group</option>
+            {groups.map((group) => (
+              <option key={group.id} value={group.id}>
+                {group.name}
+              </option>
+            ))}
+            <option value="none">Ungrouped</option>
+          </select>
+        )}
+        <select
+          value={view.enabled}
+          onChange={(e) => onChange({ enabled: e.target.value })}
+          aria-label="Filter by enabled"
+        >
+          <option value="">Enabled or not</option>
+          <option value="enabled">Enabled</option>
+          <option value="disabled">Disabled</option>
+        </select>
+        <select
+          value={view.triggered}
+          onChange={(e) => onChange({ triggered: e.target.value })}
+          aria-label="Filter by state"
+        >
+          <option value="">Any state</option>
+          <option value="triggered">Triggered</option>
+          <option value="armed">Armed</option>
+        </select>
+      </div>
+    </div>
+  );
+}
+
+// The alarm list shared by the desktop sidebar and the mobile sheet: toolbar,
+// collapsible groups (a plain list while there are no groups) and the alarm cards.
+// describe = { zone, triggerMode, schedule, rearm, routeProgress, eta } text helpers,
+// getDistance(alarm) in meters or null while the position is unknown.
+export default function AlarmList({
+  alarms,
+  groups,
+  view,
+  onViewChange,
+  collapsedGroups,
+  onToggleGroup,
+  onEditGroup,
+  groupActions,
+  alarmActions,
+  describe,
+  getDistance,
+  emptyHint,
+}) {
+  if (alarms.length === 0) {
+    return (
+      <div className="emptyState">
+        <div className="emptyIcon">📍</div>
+        <p>No alarms set</p>
+        <small>{emptyHint}</small>
+      </div>
+    );
+  }
+
+  const visible = sortAlarms(
+    filterAlarms(alarms, groups, view),
+    view.sortBy,
+    getDistance
+  );
+  const isFiltered = visible.length !== alarms.length;
+
+  const renderCards = (list) => (
+    <div className="alarmsList">
+      {list.map((alarm) => (
+        <AlarmCard
+          key={alarm.id}
+          alarm={alarm}
+          describe={describe}
+          distance={getDistance ? getDistance(alarm) : null}
+          actions={alarmActions}
+        />
+      ))}
+    </div>
+  );
+
+  const sections = [
+    ...groups.map((group) => ({ id: group.id, group, name: group.name })),
+    { id: null, group: null, name: "Ungrouped" },
+  ];
+
+  return (
+    <>
+      <ListToolbar
+        view={view}
+        groups={groups}
+        canSortByDistance={!!getDistance}
+        onChange={(changes) => onViewChange({ ...view, ...changes })}
+      />
+
+      {isFiltered && (
+        <p className="alarmListCount">
+          Showing {visible.length} of {alarms.length} alarms
+          <button
+            type="button"
+            onClick={() =>
+              onViewChange({ ...DEFAULT_ALARM_LIST_VIEW, sortBy: view.sortBy })
+            }
+          >
+            Clear filters
+          </button>
+        </p>
+      )}
+
+      {visible.length === 0 && (
+        <p className="editorHint">No alarms match the search and filters</p>
+      )}
+
+      {groups.length === 0
+        ? renderCards(visible)
+        : sections.map(({ id, group, name }) => {
+            const groupAlarms = getGroupAlarms(alarms, groups, id);
+            const shown = getGroupAlarms(visible, groups, id);
+            // Empty groups stay visible (so alarms can be added) unless the list is filtered
+            if (shown.length === 0 && (!group || isFiltered)) return null;
+
+            const collapsed = collapsedGroups.has(id || "");
+            const enabledCount = groupAlarms.filter((a) => a.enabled !== false).length;
+            const color = group ? group.color : UNGROUPED_COLOR;
+
+            return (
+              <div
+                key={id || "ungrouped"}
+                className="alarmGroup"
+                style={{ borderColor: color }}
+              >
+                <div className="alarmGroupHeader">
+                  <button
+                    type="button"
+                    onClick={() => onToggleGroup(id || "")}
+                    className="alarmGroupToggle"
+                    aria-expanded={!collapsed}
+                  >
+                    <span className="groupDot" style={{ background: color }} />
+                    {collapsed ? "▸" : "▾"} {name}
+                    <small>
+                      {enabledCount}/{groupAlarms.length} enabled
+                    </small>
+                  </button>
+                  {group && (
+                    <button
+                      onClick={() => onEditGroup(group)}
+                      className="editBtn"
+                      title="Edit group"
+                    >
+                      ✏️
+                    </button>
+                  )}
+                </div>
+
+                {!collapsed && (
+                  <>
+                    {groupAlarms.length > 0 && (
+                      <div className="groupActions">
+                        <button
+                          onClick={() => groupActions.setEnabled(id, true)}
+                          disabled={enabledCount === groupAlarms.length}
+                        >
+                          ▶️ Enable all
+                        </button>
+                        <button
+                          onClick={() => groupActions.setEnabled(id, false)}
+                          disabled={enabledCount === 0}
+                        >
+                          ⏸️ Disable all
+                        </button>
+                        <button onClick={() => groupActions.exportAlarms(id, name)}>
+                          ⬇️ Export
+                        </button>
+                        <button
+                          onClick={() => groupActions.deleteAlarms(id, name)}
+                          className="danger"
+                        >
+                          🗑️ Delete
+                        </button>
+                      </div>
+                    )}
+                    {groupAlarms.length === 0 && (
+                      <small className="groupEmpty">
+                        No alarms yet, pick this group in an alarm&apos;s editor
+                      </small>
+                    )}
+                    {renderCards(shown)}
+                  </>
+                )}
+              </div>
+            );
+          })}
+    </>
+  );
+}
@@ -0,0 +1,141 @@
+import { QUICK_EXIT_MS } from "../util/alarmStats";
+
+const formatDateTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+const formatMinuteOfDay = (minutes) => {
+  const date = new Date();
+  date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+};
+
+function StatTile({ label, value, hint }) {
+  return (
+    <div className="statTile">
+      <span>{label}</span>
+      <strong>{value}</strong>
+      {hint && <small>{hint}</small>}
+    </div>
+  );
+}
+
+// Per-alarm statistics to help tune radii and thresholds.
+// view = { alarm, loading, stats } with stats from computeAlarmStats.
+export default function AlarmStats({ view, onClose }) {
+  const { alarm, loading, stats } = view;
+
+  return (
+    <div className="historyPanel">
+      <h2 className="sectionTitle">📊 {alarm.name}</h2>
+
+      {loading ? (
+        <p className="editorHint">Crunching the numbers...</p>
+      ) : stats.timesTriggered === 0 ? (
+        <p className="editorHint">
+          This alarm hasn&apos;t fired yet. Stats appear once it has been
+          triggered.
+        </p>
+      ) : (
+        <>
+          <p className="editorHint">
+            Since {formatDateTime(stats.firstTriggeredAt)}, last on{" "}
+            {formatDateTime(stats.lastTriggeredAt)}
+          </p>
+
+          <div className="statGrid">
+            <StatTile label="Times triggered" value={stats.timesTriggered} />
+            <StatTile
+              label="Average time"
+              value={formatMinuteOfDay(stats.averageMinuteOfDay)}
+            />
+            <StatTile
+              label="Approach speed"
+              value={
+                stats.averageApproachSpeed === null
+                  ? "—"
+                  : `${(stats.averageApproachSpeed * 3.6).toFixed(1)} km/h`
+              }
+              hint={
+                stats.approachSamples < stats.timesTriggered
+                  ? `from ${stats.approachSamples} with a track`
+                  : null
+              }
+            />
+            <StatTile
+              label="False triggers"
+              value={
+                stats.falseTriggerRate === null
+                  ? "—"
+                  : `${Math.round(stats.falseTriggerRate * 100)}%`
+              }
+              hint={
+                stats.falseTriggerRate === null
+                  ? "no track after the triggers"
+                  : `${stats.falseTriggers} of ${stats.exitChecks} undone within ${
+                      QUICK_EXIT_MS / 60000
+                    } min`
+              }
+            />
+            <StatTile
+              label="Last accuracy"
+              value={
+                stats.lastTriggerAccuracy === null
+                  ? "—"
+                  : `±${Math.round(stats.lastTriggerAccuracy)} m`
+              }
+            />
+            <StatTile
+              label="Distance at trigger"
+              value={
+                stats.averageTriggerDistance === null
+                  ? "—"
+                  : `${Math.round(stats.averageTriggerDistance)} m`
+              }
+              hint="average"
+            />
+          </div>
+
+          <h3 className="historySubtitle">Triggers by hour</h3>
+          <div className="hourChart" aria-label="Triggers by hour of day">
+            {stats.hourCounts.map((count, hour) => (
+              <div
+                key={hour}
+                className="hourBar"
+                title={`${hour}:00 – ${count}`}
+                style={{
+                  height: `${(count / Math.max(...stats.hourCounts)) * 100}%`,
+                }}
+              />
+            ))}
+          </div>
+          <div className="hourChartLabels">
+            <span>0h</span>
+            <span>6h</span>
+            <span>12h</span>
+            <span>18h</span>
+            <span>24h</span>
+          </div>
+
+          {stats.falseTriggerRate > 0.3 && (
+            <p className="editorHint">
+              💡 Many triggers were undone quickly. A larger exit margin or
+              more consecutive fixes in the alarm&apos;s trigger sensitivity
+              may help.
+            </p>
+          )}
+        </>
+      )}
+
+      <div className="editorActions">
+        <button type="button" onClick={onClose} className="backupBtn">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
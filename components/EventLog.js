@@ -0,0 +1,205 @@
+const EVENT_LABELS = {
+  trigger: "🚨 Triggered",
+  dismiss: "✕ Dismissed",
+  snooze: "😴 Snoozed",
+  reset: "🔄 Re-armed",
+  expire: "⌛ Expired",
+  delete: "🗑️ Auto-deleted",
+};
+
+const CONTEXT_LABELS = {
+  page: "App",
+  "service-worker": "Background",
+};
+
+const REASON_LABELS = {
+  manual: "reset by hand",
+  rearm: "re-arm policy",
+  oneTime: "one-time alarm",
+  ringing: "stopped ringing",
+  snooze: "after snooze",
+};
+
+const PAGE_SIZE = 100;
+
+export const DEFAULT_EVENT_FILTERS = {
+  type: "",
+  alarmId: "",
+  context: "",
+  query: "",
+};
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+// Events matching every filter that is set
+function filterEvents(events, { type, alarmId, context, query }) {
+  const text = query.trim().toLowerCase();
+  return events.filter(
+    (event) =>
+      (!type || event.type === type) &&
+      (!alarmId || event.alarmId === alarmId) &&
+      (!context || event.context === context) &&
+      (!text || (event.alarmName || "").toLowerCase().includes(text))
+  );
+}
+
+// What was known when the event happened: distance, accuracy, position and reason
+function describeEvent(event) {
+  const parts = [];
+  if (Number.isFinite(event.distance)) parts.push(`${Math.round(event.distance)} m away`);
+  if (Number.isFinite(event.accuracy)) parts.push(`±${Math.round(event.accuracy)} m`);
+  if (Array.isArray(event.position)) {
+    parts.push(`${event.position[0].toFixed(5)}, ${event.position[1].toFixed(5)}`);
+  }
+  if (event.triggerMode) parts.push(`mode: ${event.triggerMode}`);
+  if (Number.isFinite(event.minutes)) parts.push(`for ${event.minutes} min`);
+  if (event.reason) parts.push(REASON_LABELS[event.reason] || event.reason);
+  return parts.join(" • ");
+}
+
+// Browsable alarm event log.
+// Controlled like HistoryPanel: log = { loading, events (newest first), filters, limit }
+export default function EventLog({ log, onChange, onClear, onClose }) {
+  const { loading, events, filters, limit } = log;
+
+  // Alarms that appear in the log, including ones deleted since
+  const alarmOptions = [];
+  const seen = new Set();
+  events.forEach((event) => {
+    if (seen.has(event.alarmId)) return;
+    seen.add(event.alarmId);
+    alarmOptions.push({ id: event.alarmId, name: event.alarmName });
+  });
+
+  const updateFilters = (changes) =>
+    onChange({ filters: { ...filters, ...changes }, limit: PAGE_SIZE });
+
+  const matching = filterEvents(events, filters);
+  const visible = matching.slice(0, limit || PAGE_SIZE);
+
+  return (
+    <div className="historyPanel">
+      <h2 className="sectionTitle">📜 Event Log</h2>
+
+      {loading ? (
+        <p className="editorHint">Loading events...</p>
+      ) : (
+        <>
+          <div className="editorRow">
+            <label className="editorField">
+              <span>Event</span>
+              <select
+                value={filters.type}
+                onChange={(e) => updateFilters({ type: e.target.value })}
+              >
+                <option value="">All events</option>
+                {Object.entries(EVENT_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="editorField">
+              <span>Fired by</span>
+              <select
+                value={filters.context}
+                onChange={(e) => updateFilters({ context: e.target.value })}
+              >
+                <option value="">App or background</option>
+                {Object.entries(CONTEXT_LABELS).map(([context, label]) => (
+                  <option key={context} value={context}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="editorRow">
+            <label className="editorField">
+              <span>Alarm</span>
+              <select
+                value={filters.alarmId}
+                onChange={(e) => updateFilters({ alarmId: e.target.value })}
+              >
+                <option value="">All alarms</option>
+                {alarmOptions.map((alarm) => (
+                  <option key={alarm.id} value={alarm.id}>
+                    {alarm.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="editorField">
+              <span>Search</span>
+              <input
+                type="search"
+                value={filters.query}
+                onChange={(e) => updateFilters({ query: e.target.value })}
+                placeholder="Alarm name"
+              />
+            </label>
+          </div>
+
+          <p className="editorHint">
+            {matching.length} of {events.length} events
+          </p>
+
+          {visible.length === 0 ? (
+            <p className="editorHint">No events match these filters</p>
+          ) : (
+            <ul className="eventList">
+              {visible.map((event) => (
+                <li key={event.id} className={`eventItem ${event.type}`}>
+                  <div className="eventHeader">
+                    <strong>{EVENT_LABELS[event.type] || event.type}</strong>
+                    <small>{formatTime(event.timestamp)}</small>
+                  </div>
+                  <div>
+                    {event.alarmName}
+                    <span className="eventContext">
+                      {CONTEXT_LABELS[event.context] || event.context}
+                    </span>
+                  </div>
+                  {describeEvent(event) && <small>{describeEvent(event)}</small>}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {matching.length > visible.length && (
+            <button
+              type="button"
+              className="scheduleAdd"
+              onClick={() => onChange({ limit: visible.length + PAGE_SIZE })}
+            >
+              Show more
+            </button>
+          )}
+        </>
+      )}
+
+      <div className="editorActions">
+        <button type="button" onClick={onClose} className="backupBtn">
+          Close
+        </button>
+        <button
+          type="button"
+          onClick={onClear}
+          className="backupBtn danger"
+          disabled={loading || events.length === 0}
+        >
+          Clear log
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+// Colors for track points, from best (fast enough / precise) to worst
+const COLOR_SCALES = {
+  speed: [
+    { max: 5, color: "#3b82f6", label: "< 5 km/h" },
+    { max: 20, color: "#10b981", label: "5–20 km/h" },
+    { max: 60, color: "#f59e0b", label: "20–60 km/h" },
+    { max: Infinity, color: "#ef4444", label: "> 60 km/h" },
+  ],
+  accuracy: [
+    { max: 10, color: "#10b981", label: "< 10 m" },
+    { max: 30, color: "#84cc16", label: "10–30 m" },
+    { max: 100, color: "#f59e0b", label: "30–100 m" },
+    { max: Infinity, color: "#ef4444", label: "> 100 m" },
+  ],
+};
+const UNKNOWN_COLOR = "#9ca3af";
+
+// Points further apart than this are not joined, the app wasn't recording in between
+export const TRACK_GAP = 10 * 60 * 1000;
+
+// Speed is stored in m/s, shown in km/h
+const toKmh = (speed) => speed * 3.6;
+
+// Color of a track point for the chosen measure ('speed' or 'accuracy')
+export function getTrackColor(point, colorBy) {
+  const value = colorBy === "speed" ? point.speed : point.accuracy;
+  if (!Number.isFinite(value)) return UNKNOWN_COLOR;
+
+  const scaled = colorBy === "speed" ? toKmh(value) : value;
+  return COLOR_SCALES[colorBy].find((step) => scaled < step.max).color;
+}
+
+// Index of the last point recorded at or before `timestamp` (points are sorted), -1 when none
+export function findPointIndex(locations, timestamp) {
+  let low = 0;
+  let high = locations.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (locations[mid].timestamp <= timestamp) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+}
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+// Stored location track with a time slider.
+// Controlled like AlarmEditor: the parent owns `history` and draws the track on the map.
+// history = { loading, locations (oldest first), triggers, colorBy, until }
+export default function HistoryPanel({ history, onChange, onClose }) {
+  const { loading, locations, triggers, colorBy, until } = history;
+
+  if (loading) {
+    return (
+      <div className="historyPanel">
+        <h2 className="sectionTitle">🕘 Location History</h2>
+        <p className="editorHint">Loading track...</p>
+      </div>
+    );
+  }
+
+  const first = locations[0];
+  const last = locations[locations.length - 1];
+  const current = locations[findPointIndex(locations, until)] || null;
+  const visibleTriggers = triggers.filter((t) => t.timestamp <= until);
+
+  return (
+    <div className="historyPanel">
+      <h2 className="sectionTitle">🕘 Location History</h2>
+
+      {locations.length === 0 ? (
+        <p className="editorHint">
+          No locations recorded yet. Enable location tracking and the track
+          will show up here.
+        </p>
+      ) : (
+        <>
+          <p className="editorHint">
+            {locations.length} points from {formatTime(first.timestamp)} to{" "}
+            {formatTime(last.timestamp)}
+          </p>
+
+          <div className="editorField">
+            <span>Show track until {formatTime(until)}</span>
+            <input
+              type="range"
+              aria-label="Track time"
+              min={first.timestamp}
+              max={last.timestamp}
+              step="1000"
+              value={until}
+              onChange={(e) => onChange({ until: Number(e.target.value) })}
+            />
+          </div>
+
+          {current && (
+            <p className="historyPoint">
+              📍 {current.latitude.toFixed(5)}, {current.longitude.toFixed(5)}
+              {Number.isFinite(current.accuracy) &&
+                ` • ±${Math.round(current.accuracy)} m`}
+              {Number.isFinite(current.speed) &&
+                ` • ${toKmh(current.speed).toFixed(1)} km/h`}
+            </p>
+          )}
+
+          <label className="editorField">
+            <span>Color by</span>
+            <select
+              value={colorBy}
+              onChange={(e) => onChange({ colorBy: e.target.value })}
+            >
+              <option value="speed">Speed</option>
+              <option value="accuracy">Accuracy</option>
+            </select>
+          </label>
+
+          <ul className="historyLegend">
+            {COLOR_SCALES[colorBy].map((step) => (
+              <li key={step.label}>
+                <span style={{ background: step.color }} />
+                {step.label}
+              </li>
+            ))}
+            <li>
+              <span style={{ background: UNKNOWN_COLOR }} />
+              Unknown
+            </li>
+          </ul>
+
+          <h3 className="historySubtitle">
+            🚨 Triggers ({visibleTriggers.length})
+          </h3>
+          {visibleTriggers.length === 0 ? (
+            <p className="editorHint">No alarms fired in this part of the track</p>
+          ) : (
+            <ul className="historyTriggers">
+              {visibleTriggers.map((trigger) => (
+                <li key={`${trigger.alarmId}-${trigger.timestamp}`}>
+                  <button
+                    type="button"
+                    onClick={() => onChange({ until: trigger.timestamp })}
+                    title="Move the slider to this trigger"
+                  >
+                    <strong>{trigger.alarmName}</strong>
+                    <small>{formatTime(trigger.timestamp)}</small>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      <div className="editorActions">
+        <button type="button" onClick={onClose} className="backupBtn">
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
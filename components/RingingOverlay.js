@@ -0,0 +1,70 @@
+import { useEffect, useState } from "react";
+import { SNOOZE_OPTIONS } from "../util/alertProfile";
+
+const formatElapsed = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return seconds < 60
+    ? `${seconds}s`
+    : `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, "0")}s`;
+};
+
+// Full-screen acknowledge screen for ringing alarms. It has no close button or
+// Escape handling on purpose: it stays until Stop or Snooze is pressed.
+// ring = { alarmId, name, oneTime, message, startedAt, profile }, waiting = rings queued behind it.
+// onSnooze(ring, minutes) with the alarm's own snooze length or one of SNOOZE_OPTIONS,
+// one-time alarms can't be snoozed since Stop deletes them.
+export default function RingingOverlay({ ring, waiting = 0, onStop, onSnooze }) {
+  const snoozeMinutes = ring.profile.snoozeMinutes;
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <div className="ringingOverlay" role="alertdialog" aria-labelledby="ringingTitle">
+      <div className="ringingBell">🚨</div>
+      <h2 id="ringingTitle">{ring.name}</h2>
+      {ring.message && <p className="ringingMessage">{ring.message}</p>}
+      <small>Ringing for {formatElapsed(now - ring.startedAt)}</small>
+      {waiting > 0 && (
+        <small>
+          {waiting} more alarm{waiting > 1 ? "s" : ""} waiting
+        </small>
+      )}
+
+      <div className="ringingActions">
+        <button type="button" onClick={() => onStop(ring)} className="ringingStop">
+          ✋ Stop
+        </button>
+        {!ring.oneTime && (
+          <button
+            type="button"
+            onClick={() => onSnooze(ring, snoozeMinutes)}
+            className="ringingSnooze"
+          >
+            😴 Snooze {snoozeMinutes} min
+          </button>
+        )}
+      </div>
+
+      {!ring.oneTime && (
+        <div className="ringingSnoozeOptions">
+          <span>Snooze for</span>
+          {SNOOZE_OPTIONS.filter((minutes) => minutes !== snoozeMinutes).map(
+            (minutes) => (
+              <button
+                type="button"
+                key={minutes}
+                onClick={() => onSnooze(ring, minutes)}
+              >
+                {minutes} min
+              </button>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,14 +2,64 @@ import { useEffect, useState, useCallback, useRef } from "react";
 import {
   initializeAudio,
   requestLocationAccess,
-  getDistance,
   playVoiceAlert,
+  playAlertProfile,
+  startRinging,
   createUserLocationIcon,
   createAlarmIcon,
   searchLocation,
 } from "../util/getUtils";
+import { parseGeoFile } from "../util/geoImport";
+import {
+  TONE_PATTERNS,
+  formatAlertMessage,
+  getAlertProfile,
+} from "../util/alertProfile";
+import AlarmEditor, { createAlarmDraft } from "../components/AlarmEditor";
+import HistoryPanel, {
+  TRACK_GAP,
+  getTrackColor,
+  findPointIndex,
+} from "../components/HistoryPanel";
+import EventLog, { DEFAULT_EVENT_FILTERS } from "../components/EventLog";
+import AlarmStats from "../components/AlarmStats";
+import RingingOverlay from "../components/RingingOverlay";
+import AlarmList, {
+  DEFAULT_ALARM_LIST_VIEW,
+  getGroupAlarms,
+} from "../components/AlarmList";
+import { computeAlarmStats } from "../util/alarmStats";
+import {
+  getDistance,
+  getPolygonCenter,
+  getAlarmDistance as getDistanceToAlarm,
+  evaluateAlarms,
+  getNextActiveTime,
+  getRearmPolicy,
+  getRouteProgress,
+  getRouteTrigger,
+  estimateEta,
+  getEtaToAlarm,
+  DEFAULT_DWELL_MINUTES,
+  DEFAULT_ETA_MINUTES,
+  DEFAULT_ROUTE_TRIGGER,
+} from "../public/geofence";
 
-import { GeoAlarmDB, ServiceWorkerManager, LocationManager } from "../util/db";
+import {
+  GeoAlarmDB,
+  ServiceWorkerManager,
+  LocationManager,
+  generateId,
+  validateBackup,
+} from "../util/db";
+import {
+  LOCATION_RETENTION_KEY,
+  DEFAULT_LOCATION_RETENTION,
+  ALARM_GROUPS_KEY,
+} from "../public/schema";
+
+// Colors offered for new alarm groups, in turn
+const GROUP_COLORS = ["#667eea", "#10b981", "#f59e0b", "#ef4444", "#8b5cf6", "#06b6d4"];
 
 export default function GeoAlarmApp() {
   const [userLocation, setUserLocation] = useState([43.6532, -79.3832]); // Toronto default
@@ -27,6 +77,48 @@ export default function GeoAlarmApp() {
   const [isSearching, setIsSearching] = useState(false);
   const [showSearchResults, setShowSearchResults] = useState(false);
 
+  // Polygon zone drawing states
+  const [isDrawingZone, setIsDrawingZone] = useState(false);
+  const [zonePoints, setZonePoints] = useState([]);
+  const zonePreviewRef = useRef(null);
+  const mapClickHandlerRef = useRef(null);
+
+  // Route building states (ordered stops, the last one is the destination)
+  const [isBuildingRoute, setIsBuildingRoute] = useState(false);
+  const [routeStops, setRouteStops] = useState([]);
+  const routePreviewRef = useRef(null);
+
+  // Speed (m/s) and heading (degrees) from the recent location records, used for ETAs
+  const motionRef = useRef({ speed: null, heading: null });
+
+  // Location history viewer (null when closed)
+  const [history, setHistory] = useState(null);
+  const historyLayerRef = useRef(null);
+
+  // Alarm event log viewer (null when closed)
+  const [eventLog, setEventLog] = useState(null);
+
+  // Per-alarm stats view (null when closed)
+  const [statsView, setStatsView] = useState(null);
+
+  // Alarm groups [{ id, name, color }], alarms point at theirs with alarm.groupId
+  const [alarmGroups, setAlarmGroups] = useState([]);
+  const [collapsedGroups, setCollapsedGroups] = useState(() => new Set());
+  // Group being added or edited (null when the form is closed)
+  const [groupDraft, setGroupDraft] = useState(null);
+  // Search, sort and filters of the alarm list
+  const [alarmListView, setAlarmListView] = useState(DEFAULT_ALARM_LIST_VIEW);
+
+  // Ringing alarms waiting to be acknowledged, oldest first.
+  // Only the first one sounds, the overlay shows it until Stop or Snooze.
+  const [ringing, setRinging] = useState([]);
+  const ringAlarmRef = useRef(null);
+
+  // Alarm editor draft (null when the editor is closed)
+  const [alarmDraft, setAlarmDraft] = useState(null);
+  const editorPreviewRef = useRef(null);
+  const editingAlarmId = alarmDraft ? alarmDraft.id || null : null;
+
   // Mobile UI states
   const [bottomSheetExpanded, setBottomSheetExpanded] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
@@ -41,17 +133,50 @@ export default function GeoAlarmApp() {
   const [autoRefreshEnabled, setAutoRefreshEnabled] = useState(true); // Always enabled by default
   const [refreshInterval, setRefreshInterval] = useState(3); // Default to 3 seconds for live tracking
   const autoRefreshIntervalRef = useRef(null);
+  const [locationRetention, setLocationRetention] = useState(
+    DEFAULT_LOCATION_RETENTION
+  );
 
   // Refs for preventing duplicate triggers
   const triggeredAlarmsRef = useRef(new Set());
   const lastTriggerCheckRef = useRef(0);
   const pendingTriggersRef = useRef(new Map());
+  // Inside/outside state per alarm between location updates (exit and dwell modes)
+  const zoneStatesRef = useRef(new Map());
+
+  // Backup import/export states
+  const [pendingImport, setPendingImport] = useState(null);
+  const [backupStatus, setBackupStatus] = useState(null);
+  const backupFileInputRef = useRef(null);
+  // GPX/KML places waiting in the preview list before becoming alarms
+  const [placesImport, setPlacesImport] = useState(null);
+  const [geoJsonTrackAs, setGeoJsonTrackAs] = useState("line");
+  const placesFileInputRef = useRef(null);
 
   // Initialize database and managers
   const [database] = useState(() => new GeoAlarmDB());
   const [swManager] = useState(() => new ServiceWorkerManager());
   const [locationManager] = useState(() => new LocationManager());
 
+  // Store a smoothed fix in the locations history, then refresh the speed and
+  // heading estimate from the latest records
+  const recordLocation = useCallback(
+    (location, metadata) => {
+      database
+        .saveLocationUpdate(location, metadata)
+        .then(() => database.getRecentMotion())
+        .then((motion) => {
+          // With recording off (or a fresh history) use the fix's own motion
+          motionRef.current = {
+            speed: motion.speed ?? metadata.speed ?? null,
+            heading: motion.heading ?? metadata.heading ?? null,
+          };
+        })
+        .catch((error) => console.error("Failed to record location:", error));
+    },
+    [database]
+  );
+
   // Detect iOS
   const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
 
@@ -134,7 +259,8 @@ export default function GeoAlarmApp() {
         );
 
     tileLayer.addTo(mapInstance);
-    mapInstance.on("click", handleMapClick);
+    // Route clicks through a ref so the handler always sees current state
+    mapInstance.on("click", (e) => mapClickHandlerRef.current?.(e));
     setMap(mapInstance);
   };
 
@@ -170,11 +296,29 @@ export default function GeoAlarmApp() {
 
     if (type === "ALARM_TRIGGERED") {
       console.log("Alarm triggered in background:", alarm);
-      setAlarms((prev) =>
-        prev.map((a) =>
-          a.createdAt === alarm.id ? { ...a, triggered: true } : a
-        )
-      );
+      mergeAlarm(alarm);
+      // Ring here too unless the page fired this alarm itself
+      if (
+        alarm.sound !== false &&
+        getAlertProfile(alarm).ringing &&
+        (!triggeredAlarmsRef.current.has(alarm.id) || event.data.reason === "snooze")
+      ) {
+        triggeredAlarmsRef.current.add(alarm.id);
+        ringAlarmRef.current(alarm);
+      }
+    } else if (type === "ALARM_DISMISSED" || type === "ALARM_REARMED") {
+      console.log("Alarm re-armed in background:", alarm);
+      triggeredAlarmsRef.current.delete(alarm.id);
+      mergeAlarm(alarm);
+      setRinging((prev) => prev.filter((ring) => ring.alarmId !== alarm.id));
+    } else if (type === "ALARM_SNOOZED") {
+      console.log("Alarm snoozed from its notification:", alarm);
+      mergeAlarm(alarm);
+      setRinging((prev) => prev.filter((ring) => ring.alarmId !== alarm.id));
+    } else if (type === "ALARM_DELETED") {
+      console.log("Alarm deleted in background:", event.data.alarmId);
+      setAlarms((prev) => prev.filter((a) => a.id !== event.data.alarmId));
+      setRinging((prev) => prev.filter((ring) => ring.alarmId !== event.data.alarmId));
     }
   };
 
@@ -196,18 +340,22 @@ export default function GeoAlarmApp() {
 
   const watchId = navigator.geolocation.watchPosition(
     (position) => {
-      const { latitude, longitude, accuracy } = position.coords;
-      const newLocation = [latitude, longitude];
+      const { latitude, longitude, accuracy: rawAccuracy } = position.coords;
       const timestamp = Date.now();
 
-      console.log(`Location update: ${latitude.toFixed(6)}, ${longitude.toFixed(6)}, accuracy: ${accuracy}m`);
+      console.log(`Location update: ${latitude.toFixed(6)}, ${longitude.toFixed(6)}, accuracy: ${rawAccuracy}m`);
 
       // Less restrictive accuracy filtering
-      if (accuracy > 500) { // Increased from 1000 to be less restrictive
-        console.warn("Location accuracy too poor, ignoring:", accuracy);
+      if (rawAccuracy > 500) { // Increased from 1000 to be less restrictive
+        console.warn("Location accuracy too poor, ignoring:", rawAccuracy);
         return;
       }
 
+      // Smooth out GPS jitter before the fix reaches the alarms
+      const { location: newLocation, accuracy, speed, heading } =
+        locationManager.smoothPosition(position);
+      recordLocation(newLocation, { accuracy, speed, heading });
+
       // Update location state
       setUserLocation(newLocation);
       setLocationAccuracy(accuracy);
@@ -215,7 +363,7 @@ export default function GeoAlarmApp() {
       setIsTracking(true); // Ensure tracking state is set
       
       // Sync with service worker
-      syncLocationWithServiceWorker(newLocation);
+      syncLocationWithServiceWorker(newLocation, accuracy, motionRef.current);
     },
     (error) => {
       console.error("Location tracking error:", error);
@@ -236,7 +384,7 @@ export default function GeoAlarmApp() {
 
   setLocationWatchId(watchId);
   setIsTracking(true);
-}, [highAccuracyMode, isIOS, backgroundTrackingEnabled]);
+}, [highAccuracyMode, isIOS, backgroundTrackingEnabled, locationManager, recordLocation]);
 
   const stopContinuousLocationTracking = useCallback(() => {
     if (locationWatchId) {
@@ -297,11 +445,17 @@ export default function GeoAlarmApp() {
     };
   }, [backgroundTrackingEnabled]);
 
-  const syncLocationWithServiceWorker = (location) => {
+  const syncLocationWithServiceWorker = (location, accuracy = null, motion = {}) => {
     if ("serviceWorker" in navigator && navigator.serviceWorker.controller) {
       navigator.serviceWorker.controller.postMessage({
         type: "LOCATION_UPDATE",
-        data: { location, timestamp: Date.now() },
+        data: {
+          location,
+          accuracy,
+          speed: motion.speed ?? null,
+          heading: motion.heading ?? null,
+          timestamp: Date.now(),
+        },
       });
     }
   };
@@ -314,7 +468,13 @@ export default function GeoAlarmApp() {
 
     navigator.geolocation.getCurrentPosition(
       (position) => {
-        const newLocation = [position.coords.latitude, position.coords.longitude];
+        if (position.coords.accuracy > 500) {
+          console.warn("Location accuracy too poor, ignoring:", position.coords.accuracy);
+          return;
+        }
+
+        const { location: newLocation, accuracy, speed, heading } =
+          locationManager.smoothPosition(position);
         const currentTime = Date.now();
         
         // Only update if location has changed significantly (more than 5 meters) or it's been more than 30 seconds
@@ -328,13 +488,14 @@ export default function GeoAlarmApp() {
           }
         }
         
-        console.log(`Live location update: ${newLocation[0].toFixed(6)}, ${newLocation[1].toFixed(6)}, accuracy: ${position.coords.accuracy}m`);
+        recordLocation(newLocation, { accuracy, speed, heading });
+        console.log(`Live location update: ${newLocation[0].toFixed(6)}, ${newLocation[1].toFixed(6)}, accuracy: ${Math.round(accuracy)}m`);
         setUserLocation(newLocation);
-        setLocationAccuracy(position.coords.accuracy);
+        setLocationAccuracy(accuracy);
         setLastLocationUpdate(currentTime);
         
         // Sync with service worker
-        syncLocationWithServiceWorker(newLocation);
+        syncLocationWithServiceWorker(newLocation, accuracy, motionRef.current);
       },
       (error) => {
         console.error("Live location update failed:", error);
@@ -346,7 +507,32 @@ export default function GeoAlarmApp() {
         maximumAge: 1000 // Always get fresh location for live tracking
       }
     );
-  }, [userLocation, lastLocationUpdate, highAccuracyMode]);
+  }, [userLocation, lastLocationUpdate, highAccuracyMode, locationManager, recordLocation]);
+
+  // Apply stored settings to state (on mount and after a backup import)
+  const applySavedSettings = useCallback((savedSettings) => {
+    if (savedSettings.darkMode !== undefined) {
+      setDarkMode(savedSettings.darkMode);
+    }
+    if (savedSettings.soundEnabled !== undefined) {
+      setSoundEnabled(savedSettings.soundEnabled);
+    }
+    if (savedSettings.backgroundTrackingEnabled !== undefined) {
+      setBackgroundTrackingEnabled(savedSettings.backgroundTrackingEnabled);
+    }
+    if (savedSettings.refreshInterval !== undefined) {
+      setRefreshInterval(savedSettings.refreshInterval);
+    }
+    if (savedSettings[LOCATION_RETENTION_KEY] !== undefined) {
+      setLocationRetention({
+        ...DEFAULT_LOCATION_RETENTION,
+        ...savedSettings[LOCATION_RETENTION_KEY],
+      });
+    }
+    if (Array.isArray(savedSettings[ALARM_GROUPS_KEY])) {
+      setAlarmGroups(savedSettings[ALARM_GROUPS_KEY]);
+    }
+  }, []);
 
   // Load saved data on mount
   useEffect(() => {
@@ -361,55 +547,62 @@ export default function GeoAlarmApp() {
           setAlarms(savedAlarms);
         }
 
-        if (savedSettings.darkMode !== undefined) {
-          setDarkMode(savedSettings.darkMode);
-        }
-        if (savedSettings.soundEnabled !== undefined) {
-          setSoundEnabled(savedSettings.soundEnabled);
-        }
-        if (savedSettings.backgroundTrackingEnabled !== undefined) {
-          setBackgroundTrackingEnabled(savedSettings.backgroundTrackingEnabled);
-        }
-        if (savedSettings.refreshInterval !== undefined) {
-          setRefreshInterval(savedSettings.refreshInterval);
-        }
+        applySavedSettings(savedSettings);
       } catch (error) {
         console.error("Failed to load saved data:", error);
       }
     };
 
     loadSavedData();
-  }, [database]);
-
-  // Save alarms and sync with service worker
-  useEffect(() => {
-    if (!database || alarms.length === 0) return;
+  }, [database, applySavedSettings]);
 
-    const saveAlarms = async () => {
-      try {
-        await database.saveAlarms(alarms);
-
-        if (
-          "serviceWorker" in navigator &&
-          navigator.serviceWorker.controller
-        ) {
-          navigator.serviceWorker.controller.postMessage({
-            type: "SYNC_ALARMS",
-            data: { alarms },
-          });
-        }
-      } catch (error) {
-        console.error("Failed to save alarms:", error);
-      }
-    };
+  // Alarms are persisted one record at a time so the service worker's own
+  // writes (triggers, dismissals) are never overwritten by a stale list
+  const addAlarmRecord = async (alarm) => {
+    setAlarms((prev) => [...prev, alarm]);
+    try {
+      const saved = await database.addAlarm(alarm);
+      mergeAlarm(saved);
+    } catch (error) {
+      console.error("Failed to save alarm:", error);
+    }
+  };
 
-    const hasActiveAlarms = alarms.some(
-      (alarm) => !alarm.triggered || alarm.type === "persistent"
+  const updateAlarmRecord = async (alarmId, changes) => {
+    setAlarms((prev) =>
+      prev.map((a) => (a.id === alarmId ? { ...a, ...changes } : a))
     );
-    if (hasActiveAlarms) {
-      saveAlarms();
+    try {
+      const saved = await database.updateAlarm(alarmId, changes);
+      if (saved) mergeAlarm(saved);
+    } catch (error) {
+      console.error("Failed to update alarm:", error);
+    }
+  };
+
+  // Resolves to false when the alarm was no longer stored, e.g. already deleted by the service worker
+  const removeAlarmRecord = async (alarmId) => {
+    setAlarms((prev) => prev.filter((a) => a.id !== alarmId));
+    try {
+      const existed = await database.deleteAlarm(alarmId);
+      await database.deleteUnusedSounds();
+      return existed;
+    } catch (error) {
+      console.error("Failed to delete alarm from storage:", error);
+      return false;
     }
-  }, [alarms, database]);
+  };
+
+  // Take a stored record unless the one in state has a newer revision
+  const mergeAlarm = (alarm) => {
+    setAlarms((prev) =>
+      prev.map((a) =>
+        a.id === alarm.id && (alarm.revision || 0) >= (a.revision || 0)
+          ? alarm
+          : a
+      )
+    );
+  };
 
   // Save settings whenever they change
   useEffect(() => {
@@ -504,39 +697,65 @@ export default function GeoAlarmApp() {
 
     alarmMarkers.forEach((marker) => {
       map.removeLayer(marker.marker);
-      map.removeLayer(marker.circle);
+      map.removeLayer(marker.zone);
     });
 
-    const newMarkers = alarms.map((alarm, i) => {
+    // The alarm being edited is drawn by the editor preview instead
+    const visibleAlarms = alarms.filter((alarm) => alarm.id !== editingAlarmId);
+
+    const newMarkers = visibleAlarms.map((alarm) => {
       const marker = window.L.marker(alarm.location, {
         icon: createAlarmIcon(alarm.triggered),
       }).addTo(map);
 
       const distance = userLocation
-        ? Math.round(getDistance(userLocation, alarm.location))
+        ? Math.round(getAlarmDistance(alarm))
         : "Unknown";
       marker.bindPopup(`
         <div>
           <strong>${alarm.name}</strong><br/>
-          Radius: ${alarm.radius}m<br/>
+          ${describeAlarmZone(alarm)}<br/>
           Distance: ${distance}m<br/>
-          Status: ${alarm.triggered ? "🚨 TRIGGERED" : "✅ Active"}
+          Status: ${
+            alarm.enabled === false
+              ? "⏸️ Disabled"
+              : alarm.triggered
+              ? "🚨 TRIGGERED"
+              : "✅ Active"
+          }
         </div>
       `);
 
-      const circle = window.L.circle(alarm.location, {
-        radius: alarm.radius,
-        color: alarm.triggered ? "#ef4444" : "#fbbf24",
-        fillColor: alarm.triggered ? "#ef4444" : "#fbbf24",
-        fillOpacity: 0.2,
+      const zoneColor =
+        alarm.enabled === false
+          ? "#9ca3af"
+          : alarm.triggered
+          ? "#ef4444"
+          : "#fbbf24";
+      const zoneStyle = {
+        color: zoneColor,
+        fillColor: zoneColor,
+        fillOpacity: alarm.enabled === false ? 0.1 : 0.2,
         weight: 2,
-      }).addTo(map);
+        dashArray: alarm.enabled === false ? "6 6" : null,
+      };
+      let zone;
+      if (alarm.shape === "route") {
+        zone = createRouteLayer(alarm.stops, alarm.radius, zoneStyle).addTo(map);
+      } else if (alarm.shape === "polygon") {
+        zone = window.L.polygon(alarm.polygon, zoneStyle).addTo(map);
+      } else {
+        zone = window.L.circle(alarm.location, {
+          radius: alarm.radius,
+          ...zoneStyle,
+        }).addTo(map);
+      }
 
-      return { marker, circle, alarm };
+      return { marker, zone, alarm };
     });
 
     setAlarmMarkers(newMarkers);
-  }, [alarms, map, userLocation]);
+  }, [alarms, map, userLocation, editingAlarmId]);
 
   // Enhanced alarm trigger checking with debouncing
   useEffect(() => {
@@ -561,101 +780,114 @@ export default function GeoAlarmApp() {
 
       // Clean expired alarms
       if (activeAlarms.length !== alarms.length) {
-        setAlarms(activeAlarms);
-        setTimeout(async () => {
-          try {
-            await database.saveAlarms(activeAlarms);
-            if (
-              "serviceWorker" in navigator &&
-              navigator.serviceWorker.controller
-            ) {
-              navigator.serviceWorker.controller.postMessage({
-                type: "SYNC_ALARMS",
-                data: { alarms: activeAlarms },
-              });
-            }
-            console.log("Expired alarms cleaned from storage");
-          } catch (error) {
-            console.error(
-              "Failed to clean expired alarms from storage:",
-              error
-            );
-          }
-        }, 100);
+        alarms
+          .filter((alarm) => !activeAlarms.includes(alarm))
+          .forEach((alarm) => {
+            removeAlarmRecord(alarm.id);
+            logAlarmEvent("expire", alarm);
+          });
+        console.log("Expired alarms cleaned from storage");
         return;
       }
 
-      // Check each alarm
-      activeAlarms.forEach((alarm, index) => {
-        if (
-          alarm &&
-          !alarm.triggered &&
-          alarm.location &&
-          Array.isArray(alarm.location)
-        ) {
-          const distance = getDistance(userLocation, alarm.location);
-          const alarmKey = `${alarm.createdAt}-${index}`;
-
-          // Dynamic trigger radius based on location accuracy
-          const baseRadius = alarm.radius;
-          const accuracyBuffer = locationAccuracy
-            ? Math.min(locationAccuracy * 0.5, 20)
-            : 10;
-          const triggerRadius = baseRadius + accuracyBuffer;
-
-          console.log(
-            `Alarm "${alarm.name}": distance=${distance.toFixed(
-              1
-            )}m, trigger=${triggerRadius.toFixed(1)}m, accuracy=${
-              locationAccuracy || "unknown"
-            }m`
-          );
-
-          if (distance <= triggerRadius) {
-            // Check if already triggered recently
-            if (triggeredAlarmsRef.current.has(alarmKey)) {
-              return;
-            }
+      // Evaluate every alarm with the shared geofence engine
+      const { decisions, states } = evaluateAlarms({
+        position: userLocation,
+        accuracy: locationAccuracy,
+        alarms: activeAlarms,
+        states: zoneStatesRef.current,
+        motion: motionRef.current,
+        now,
+      });
+      zoneStatesRef.current = states;
+
+      decisions.forEach(({ alarm, inside, distance, buffer, shouldTrigger, shouldRearm, snooze }) => {
+        if (shouldRearm) {
+          console.log(`Re-arming alarm: ${alarm.name}`);
+          rearmAlarm(alarm.id);
+          logAlarmEvent("reset", alarm, { reason: "rearm", distance });
+          return;
+        }
+
+        if (snooze === "refire") {
+          console.log(`Snooze over, firing again: ${alarm.name}`);
+          triggerAlarm(alarm.id, { distance, reason: "snooze" });
+          return;
+        }
+        if (snooze === "expire") {
+          updateAlarmRecord(alarm.id, { snoozedUntil: null });
+        }
 
-            // Add to triggered set to prevent duplicates
-            triggeredAlarmsRef.current.add(alarmKey);
+        console.log(
+          `Alarm "${alarm.name}": inside=${inside}, distance=${distance.toFixed(
+            1
+          )}m, buffer=${buffer.toFixed(1)}m, accuracy=${
+            locationAccuracy || "unknown"
+          }m`
+        );
 
-            console.log(
-              `Triggering alarm: ${alarm.name} (distance: ${distance.toFixed(
-                1
-              )}m)`
-            );
-            triggerAlarm(index);
+        if (!shouldTrigger) return;
 
-            // Remove from triggered set after 10 seconds
-            setTimeout(() => {
-              triggeredAlarmsRef.current.delete(alarmKey);
-            }, 10000);
-          }
+        // Guard against a second trigger before the triggered flag is saved,
+        // cleared again when the alarm is re-armed
+        const alarmKey = alarm.id;
+        if (triggeredAlarmsRef.current.has(alarmKey)) {
+          return;
         }
+        triggeredAlarmsRef.current.add(alarmKey);
+
+        console.log(
+          `Triggering alarm: ${alarm.name} (distance: ${distance.toFixed(1)}m)`
+        );
+        triggerAlarm(alarm.id, { distance });
       });
     } catch (error) {
       console.error("Error checking alarm triggers:", error);
     }
   }, [userLocation, alarms, locationAccuracy]);
 
-  // Enhanced trigger alarm function with auto-removal after 3 seconds
-  async function triggerAlarm(index) {
+  // Record an alarm event with the current position and accuracy
+  function logAlarmEvent(type, alarm, details = {}) {
+    database.logEvent(type, alarm, {
+      position: userLocation,
+      accuracy: locationAccuracy,
+      distance: userLocation ? getAlarmDistance(alarm) : null,
+      ...details,
+    });
+  }
+
+  // Fire an alarm, it stays triggered until its re-arm policy arms it again.
+  // details.reason 'snooze' fires an already triggered alarm again after its snooze.
+  async function triggerAlarm(alarmId, details = {}) {
     try {
-      const alarm = alarms[index];
-      if (!alarm || alarm.triggered) return;
+      const alarm = alarms.find((a) => a.id === alarmId);
+      if (!alarm || (alarm.triggered && details.reason !== "snooze")) return;
 
       console.log("Triggering alarm:", alarm.name);
 
       // Update alarm state immediately
-      setAlarms((prev) =>
-        prev.map((a, i) => (i === index ? { ...a, triggered: true } : a))
-      );
+      const triggeredAt = Date.now();
+      updateAlarmRecord(alarmId, {
+        triggered: true,
+        triggeredAt,
+        lastTriggeredAt: triggeredAt,
+        snoozedUntil: null,
+      });
+      logAlarmEvent("trigger", alarm, {
+        timestamp: triggeredAt,
+        triggerMode: alarm.triggerMode || "enter",
+        ...details,
+      });
 
       const alarmName = alarm.name || "Unknown Location";
 
+      // Alarms can opt out of the sound alert
+      const playSound = soundEnabled && alarm.sound !== false;
+      // Ringing alarms sound (or only vibrate, with sound off) until acknowledged
+      const ringsUntilStopped = alarm.sound !== false && getAlertProfile(alarm).ringing;
+
       // Initialize audio if needed
-      if (!audioInitialized && soundEnabled) {
+      if (!audioInitialized && playSound) {
         console.log("Audio not initialized, attempting to initialize...");
         try {
           const initialized = await initializeAudio(false, true);
@@ -667,13 +899,15 @@ export default function GeoAlarmApp() {
         }
       }
 
-      // Play sound with platform-specific delays
-      if (soundEnabled) {
+      if (ringsUntilStopped) {
+        ringAlarm(alarm, details.distance);
+      } else if (playSound) {
+        // Play sound with platform-specific delays
         const delay = isIOS ? 500 : 200; // Longer delay for iOS
 
         setTimeout(async () => {
           try {
-            await playVoiceAlert(alarmName);
+            await playAlarmAlert(alarm, details.distance);
           } catch (error) {
             console.error("Voice alert failed in trigger:", error);
           }
@@ -685,12 +919,12 @@ export default function GeoAlarmApp() {
         if (typeof window !== "undefined" && "Notification" in window) {
           if (Notification.permission === "granted") {
             const notification = new Notification("🚨 Geo-Alarm Triggered!", {
-              body: `You're near: ${alarmName}`,
+              body: describeTrigger(alarm),
               icon: "/favicon.ico",
-              tag: `alarm-${index}`,
+              tag: `alarm-${alarmId}`,
               requireInteraction: true,
               vibrate: [200, 100, 200, 100, 200],
-              silent: false,
+              silent: !playSound,
             });
 
             setTimeout(() => {
@@ -711,51 +945,22 @@ export default function GeoAlarmApp() {
         console.log("Notification failed:", notificationError);
       }
 
-      // Enhanced vibration
+      // Enhanced vibration, ringing alarms repeat their own
       try {
-        if ("vibrate" in navigator) {
+        if ("vibrate" in navigator && !ringsUntilStopped) {
           navigator.vibrate([200, 100, 200, 100, 200, 100, 400]);
         }
       } catch (vibrateError) {
         console.log("Vibration failed:", vibrateError);
       }
 
-      // Auto-remove triggered status after 3 seconds
-      setTimeout(() => {
-        setAlarms((prev) =>
-          prev.map((a, i) => (i === index ? { ...a, triggered: false } : a))
-        );
-        console.log(`Auto-reset alarm: ${alarmName}`);
-      }, 3000);
-
-      // Handle one-time alarms - delete after 8 seconds (gives time for user to see trigger)
-      if (alarm.type === "oneTime") {
+      // Handle one-time alarms - delete after 8 seconds (gives time for user to see trigger),
+      // ringing ones once they are stopped
+      if (alarm.type === "oneTime" && !ringsUntilStopped) {
         setTimeout(async () => {
-          try {
-            setAlarms((prevAlarms) => {
-              const newAlarms = prevAlarms.filter((_, i) => i !== index);
-
-              // Save to database asynchronously
-              database.saveAlarms(newAlarms).catch(console.error);
-
-              // Sync with service worker
-              if (
-                "serviceWorker" in navigator &&
-                navigator.serviceWorker.controller
-              ) {
-                navigator.serviceWorker.controller.postMessage({
-                  type: "SYNC_ALARMS",
-                  data: { alarms: newAlarms },
-                });
-              }
-
-              return newAlarms;
-            });
-
-            console.log("One-time alarm deleted from storage:", alarmName);
-          } catch (error) {
-            console.error("Failed to delete alarm from storage:", error);
-          }
+          if (!(await removeAlarmRecord(alarmId))) return;
+          logAlarmEvent("delete", alarm, { reason: "oneTime" });
+          console.log("One-time alarm deleted from storage:", alarmName);
         }, 8000);
       }
     } catch (error) {
@@ -763,14 +968,115 @@ export default function GeoAlarmApp() {
     }
   }
 
-  function resetAlarm(index) {
-    setAlarms((prev) =>
-      prev.map((a, i) => (i === index ? { ...a, triggered: false } : a))
+  // Message, tone and uploaded sound of an alarm's alert profile
+  async function getAlertParts(alarm, distance) {
+    const profile = getAlertProfile(alarm);
+    const message = profile.message
+      ? formatAlertMessage(profile.message, {
+          name: alarm.name,
+          distance: Number.isFinite(distance) ? distance : getAlarmDistance(alarm),
+        })
+      : describeTriggerSpeech(alarm);
+
+    // A file picked in the editor is previewed before it is stored
+    let soundBlob = null;
+    if (profile.tone === "custom") {
+      soundBlob =
+        profile.file ||
+        (profile.soundId
+          ? await database.getSound(profile.soundId).catch(() => null)
+          : null);
+    }
+
+    return { profile, message, tone: TONE_PATTERNS[profile.tone] || null, soundBlob };
+  }
+
+  // Play the alarm's alert profile, or the default spoken alert when it has none
+  async function playAlarmAlert(alarm, distance) {
+    if (!alarm.alert) {
+      await playVoiceAlert(alarm.name, describeTriggerSpeech(alarm));
+      return;
+    }
+
+    const { profile, message, tone, soundBlob } = await getAlertParts(alarm, distance);
+    await playAlertProfile(profile, message, { tone, soundBlob });
+  }
+
+  // Queue a ringing alarm for the overlay
+  async function ringAlarm(alarm, distance) {
+    const parts = await getAlertParts(alarm, distance);
+    setRinging((prev) =>
+      prev.some((ring) => ring.alarmId === alarm.id)
+        ? prev
+        : [
+            ...prev,
+            {
+              alarmId: alarm.id,
+              name: alarm.name,
+              oneTime: alarm.type === "oneTime",
+              startedAt: Date.now(),
+              ...parts,
+            },
+          ]
     );
+  }
+
+  ringAlarmRef.current = ringAlarm;
+
+  // Stop acknowledges the ring, the alarm stays triggered until its re-arm policy arms it
+  const stopRinging = async (ring) => {
+    setRinging((prev) => prev.filter((r) => r.alarmId !== ring.alarmId));
+
+    const alarm = alarms.find((a) => a.id === ring.alarmId);
+    if (!alarm) return;
+    logAlarmEvent("dismiss", alarm, { reason: "ringing" });
+    if (alarm.type === "oneTime") {
+      if (!(await removeAlarmRecord(alarm.id))) return;
+      logAlarmEvent("delete", alarm, { reason: "oneTime" });
+    }
+  };
+
+  // Snooze keeps the alarm triggered and stores when it may fire again, the trigger
+  // checks fire it then if its condition still holds (getSnoozeOutcome)
+  const snoozeAlarm = (alarmId, minutes) => {
+    const alarm = alarms.find((a) => a.id === alarmId);
+    if (!alarm) return;
+
+    updateAlarmRecord(alarmId, { snoozedUntil: Date.now() + minutes * 60000 });
+    logAlarmEvent("snooze", alarm, { minutes });
+  };
+
+  const snoozeRinging = (ring, minutes) => {
+    setRinging((prev) => prev.filter((r) => r.alarmId !== ring.alarmId));
+    snoozeAlarm(ring.alarmId, minutes);
+  };
+
+  // Sound the ring shown in the overlay, stopped when it is acknowledged
+  const currentRing = ringing[0] || null;
+  useEffect(() => {
+    if (!currentRing) return;
+    return startRinging(currentRing.profile, currentRing.message, {
+      tone: currentRing.tone,
+      soundBlob: currentRing.soundBlob,
+      silent: !soundEnabled,
+    });
+  }, [currentRing, soundEnabled]);
+
+  // Arm a fired alarm again (from its re-arm policy)
+  function rearmAlarm(alarmId) {
+    triggeredAlarmsRef.current.delete(alarmId);
+    updateAlarmRecord(alarmId, { triggered: false, triggeredAt: null, snoozedUntil: null });
+  }
+
+  // Manual re-arm from the alarm card
+  function resetAlarm(alarmId) {
+    rearmAlarm(alarmId);
+
+    const alarm = alarms.find((a) => a.id === alarmId);
+    if (alarm) logAlarmEvent("reset", alarm, { reason: "manual" });
 
     // Enhanced audio feedback for reset
     if (soundEnabled) {
-      const alarm = alarms[index];
       if (alarm) {
         const delay = isIOS ? 300 : 150;
 
@@ -792,249 +1098,1557 @@ export default function GeoAlarmApp() {
     }
   }
 
-  // Handle map click to create new alarm
+  // Distance to the alarm: center for circles, nearest edge for polygons (0 when inside)
+  const getAlarmDistance = (alarm) => getDistanceToAlarm(userLocation, alarm);
+
+  const describeAlarmZone = (alarm) => {
+    if (alarm.shape === "route") {
+      return `Route: ${alarm.stops.length} stops to ${
+        alarm.stops[alarm.stops.length - 1].name
+      }`;
+    }
+    return alarm.shape === "polygon"
+      ? `Zone: ${alarm.polygon.length}-point polygon`
+      : `Radius: ${alarm.radius}m`;
+  };
+
+  // Where we are along a route alarm: stops passed, distance and ETA to the destination
+  const describeRouteProgress = (alarm) => {
+    if (!userLocation) return null;
+    const progress = getRouteProgress(userLocation, alarm.stops, alarm.radius);
+    const { speed, heading } = motionRef.current;
+    const eta = estimateEta(
+      progress.remainingDistance,
+      speed,
+      heading,
+      progress.segmentBearing
+    );
+
+    const km = (progress.remainingDistance / 1000).toFixed(1);
+    const next = Math.min(progress.reachedStops + 1, alarm.stops.length);
+    let text = `🚏 Next: stop ${next} of ${alarm.stops.length} • ${progress.stopsRemaining} stops / ${km} km to go`;
+    if (eta !== null) text += ` • ETA ${Math.max(1, Math.round(eta / 60))} min`;
+    if (progress.offRouteDistance > 500) text += " • off route";
+    return text;
+  };
+
+  // When a scheduled alarm is next armed, in the schedule's time zone
+  const describeSchedule = (alarm) => {
+    const next = getNextActiveTime(alarm.schedule);
+    if (next === null) return "🗓️ Schedule ended";
+    if (next <= Date.now()) return "🗓️ Armed now";
+
+    let formatted;
+    try {
+      formatted = new Date(next).toLocaleString([], {
+        weekday: "short",
+        month: "short",
+        day: "numeric",
+        hour: "2-digit",
+        minute: "2-digit",
+        timeZone: alarm.schedule.timeZone || undefined,
+      });
+    } catch (error) {
+      formatted = new Date(next).toLocaleString();
+    }
+    return `🗓️ Next armed: ${formatted}`;
+  };
+
+  // Predicted minutes until an ETA alarm's zone is reached at the current speed
+  const describeEta = (alarm) => {
+    if (!userLocation) return null;
+    const eta = getEtaToAlarm(userLocation, alarm, motionRef.current);
+    if (eta === null) return "⏱️ ETA: not heading this way";
+    if (eta === 0) return "⏱️ You're there";
+    return `⏱️ ETA: ${Math.max(1, Math.round(eta / 60))} min`;
+  };
+
+  // What has to happen before a fired alarm can fire again
+  const describeRearm = (alarm) => {
+    const policy = getRearmPolicy(alarm);
+    if (policy.mode === "manual") return "re-arm manually";
+    if (policy.mode === "timer") return `re-arms after ${policy.minutes} min`;
+    if (alarm.shape === "route") {
+      return `re-arms ${policy.distance}m past the last stop after you reach it`;
+    }
+    if (alarm.triggerMode === "exit") return "re-arms when you're back inside";
+    if (alarm.triggerMode === "eta") {
+      return `re-arms ${policy.distance}m outside the zone after you arrive`;
+    }
+    return `re-arms ${policy.distance}m outside the zone`;
+  };
+
+  const describeTriggerMode = (alarm) => {
+    if (alarm.shape === "route") {
+      const trigger = getRouteTrigger(alarm);
+      return trigger.mode === "eta"
+        ? `🚏 ${trigger.minutesBefore} min before the end`
+        : `🚏 ${trigger.stopsBefore} stop${trigger.stopsBefore === 1 ? "" : "s"} before the end`;
+    }
+    if (alarm.triggerMode === "exit") return "🚪 On exit";
+    if (alarm.triggerMode === "dwell") {
+      return `⏳ After ${alarm.dwellMinutes || DEFAULT_DWELL_MINUTES} min inside`;
+    }
+    if (alarm.triggerMode === "eta") {
+      return `⏱️ ${alarm.etaMinutes || DEFAULT_ETA_MINUTES} min before arrival`;
+    }
+    return "📍 On arrival";
+  };
+
+  // Notification text for the alarm's trigger mode
+  const describeTrigger = (alarm) => {
+    const name = alarm.name || "Unknown Location";
+    if (alarm.shape === "route") {
+      return `Get ready, your stop is coming up: ${
+        alarm.stops[alarm.stops.length - 1].name || name
+      }`;
+    }
+    if (alarm.triggerMode === "exit") return `You left: ${name}`;
+    if (alarm.triggerMode === "dwell") {
+      return `You've been at ${name} for ${
+        alarm.dwellMinutes || DEFAULT_DWELL_MINUTES
+      } min`;
+    }
+    if (alarm.triggerMode === "eta") {
+      return `About ${alarm.etaMinutes || DEFAULT_ETA_MINUTES} min to: ${name}`;
+    }
+    return `You're near: ${name}`;
+  };
+
+  // Spoken alert text, null keeps the default arrival message
+  const describeTriggerSpeech = (alarm) => {
+    const name = alarm.name || "Unknown Location";
+    if (alarm.shape === "route") {
+      return `Geo alarm triggered. Get ready, ${
+        alarm.stops[alarm.stops.length - 1].name || name
+      } is coming up`;
+    }
+    if (alarm.triggerMode === "exit") {
+      return `Geo alarm triggered. You have left ${name}`;
+    }
+    if (alarm.triggerMode === "dwell") {
+      return `Geo alarm triggered. You have been at ${name} for ${
+        alarm.dwellMinutes || DEFAULT_DWELL_MINUTES
+      } minutes`;
+    }
+    if (alarm.triggerMode === "eta") {
+      return `Geo alarm triggered. You will reach ${name} in about ${
+        alarm.etaMinutes || DEFAULT_ETA_MINUTES
+      } minutes`;
+    }
+    return null;
+  };
+
+  const zoneChanged = (a, b) =>
+    a.radius !== b.radius ||
+    JSON.stringify(a.location) !== JSON.stringify(b.location) ||
+    JSON.stringify(a.polygon) !== JSON.stringify(b.polygon) ||
+    JSON.stringify(a.stops) !== JSON.stringify(b.stops);
+
+  // Alarm editor: the draft lives here so the zone can be previewed on the map
+  const openAlarmEditor = (overrides) => {
+    setHistory(null);
+    setEventLog(null);
+    setStatsView(null);
+    setAlarmDraft(createAlarmDraft(overrides));
+    if (isMobile) setBottomSheetExpanded(true);
+  };
+
+  const updateAlarmDraft = (changes) => {
+    setAlarmDraft((prev) => (prev ? { ...prev, ...changes } : prev));
+  };
+
+  const closeAlarmEditor = () => {
+    setAlarmDraft(null);
+  };
+
+  const editAlarm = (alarmId) => {
+    const alarm = alarms.find((a) => a.id === alarmId);
+    if (!alarm) return;
+
+    cancelZoneDrawing();
+    setHistory(null);
+    setEventLog(null);
+    setStatsView(null);
+    setAlarmDraft({ ...alarm });
+    if (isMobile) setBottomSheetExpanded(true);
+    if (map) map.setView(alarm.location, Math.max(map.getZoom(), 15));
+  };
+
+  // Store a sound file picked in the editor and point the profile at it
+  const storeAlertSound = async (profile) => {
+    if (!profile || !profile.file) return profile;
+
+    const { file, ...rest } = profile;
+    try {
+      const soundId = await database.saveSound(file);
+      return { ...rest, soundId, soundName: file.name };
+    } catch (error) {
+      console.error("Failed to store the alarm sound:", error);
+      alert("Could not save the audio file, the previous sound is kept");
+      return { ...rest, tone: rest.soundId ? "custom" : "none" };
+    }
+  };
+
+  const saveAlarmDraft = async (draftValues) => {
+    const values = { ...draftValues, alert: await storeAlertSound(draftValues.alert) };
+
+    if (values.id) {
+      const original = alarms.find((a) => a.id === values.id);
+      const changes = {
+        name: values.name,
+        location: values.location,
+        radius: values.radius,
+        polygon: values.polygon,
+        triggerMode: values.triggerMode,
+        dwellMinutes: values.dwellMinutes,
+        etaMinutes: values.etaMinutes,
+        type: values.type,
+        expiresAt: values.expiresAt,
+        sound: values.sound,
+        notes: values.notes,
+        schedule: values.schedule,
+        rearm: values.rearm,
+        thresholds: values.thresholds,
+        stops: values.stops,
+        routeTrigger: values.routeTrigger,
+        groupId: values.groupId,
+        enabled: values.enabled,
+        alert: values.alert,
+      };
+
+      // A moved or resized zone starts over: the old inside/outside state no longer applies
+      if (original && zoneChanged(original, values)) {
+        zoneStatesRef.current.delete(values.id);
+      }
+
+      closeAlarmEditor();
+      await updateAlarmRecord(values.id, changes);
+      // The alarm may have swapped out an uploaded sound
+      database.deleteUnusedSounds().catch((error) =>
+        console.error("Failed to clean up alarm sounds:", error)
+      );
+      return;
+    }
+
+    addAlarmRecord({
+      ...values,
+      id: generateId(),
+      triggered: false,
+      createdAt: new Date().toISOString(),
+    });
+    closeAlarmEditor();
+
+    if (map && values.shape !== "polygon") {
+      map.setView(values.location, Math.max(map.getZoom(), 16));
+    }
+  };
+
   const handleMapClick = (e) => {
     if (!map || !e.latlng) return;
     const { lat, lng } = e.latlng;
     const location = [lat, lng];
-    const name = prompt(
-      "Enter alarm name:",
-      `Alarm at ${lat.toFixed(4)}, ${lng.toFixed(4)}`
-    );
-    if (!name) return;
-    const radiusInput = prompt("Enter radius in meters (default: 100):");
-    const radius = parseInt(radiusInput) || 100;
-    const alarmType = confirm(
-      "One-time use alarm? (OK = Yes, Cancel = Persistent)"
-    )
-      ? "oneTime"
-      : "persistent";
-
-    let expiresAt = null;
-    if (alarmType === "persistent") {
-      const hours = prompt(
-        "Auto-delete after how many hours? (default: never, enter 0 for never):"
-      );
-      const hoursNum = parseInt(hours);
-      if (hoursNum && hoursNum > 0) {
-        expiresAt = new Date(
-          Date.now() + hoursNum * 60 * 60 * 1000
-        ).toISOString();
+
+    // The history view is read-only
+    if (history) return;
+
+    // While drawing a zone, clicks add polygon vertices instead of alarms
+    if (isDrawingZone) {
+      setZonePoints((prev) => [...prev, location]);
+      return;
+    }
+
+    // While building a route, clicks add stops
+    if (isBuildingRoute) {
+      addRouteStop(location);
+      return;
+    }
+
+    // With the editor open, a click moves the circle being created or edited,
+    // or appends a new destination to a route
+    if (alarmDraft) {
+      if (alarmDraft.shape === "route") {
+        const stops = [
+          ...alarmDraft.stops,
+          { name: `Stop ${alarmDraft.stops.length + 1}`, location },
+        ];
+        updateAlarmDraft({ stops, location });
+      } else if (alarmDraft.shape !== "polygon") {
+        updateAlarmDraft({ location });
       }
+      return;
     }
 
-    const newAlarm = {
-      name,
+    openAlarmEditor({
+      name: `Alarm at ${lat.toFixed(4)}, ${lng.toFixed(4)}`,
       location,
-      radius,
-      triggered: false,
-      createdAt: new Date().toISOString(),
-      type: alarmType,
-      expiresAt: expiresAt,
-    };
+    });
+  };
 
-    setAlarms((prev) => [...prev, newAlarm]);
+  mapClickHandlerRef.current = handleMapClick;
 
-    setTimeout(() => {
-      if (map) {
-        map.setView(location, 16);
-      }
-    }, 500);
+  // Polygon zone drawing
+  const startZoneDrawing = () => {
+    cancelRouteBuilding();
+    setZonePoints([]);
+    setIsDrawingZone(true);
+    setBottomSheetExpanded(false);
   };
 
-  // Delete alarm function with fixed syntax
-  const deleteAlarm = async (index) => {
-    if (index < 0 || index >= alarms.length) {
+  const cancelZoneDrawing = () => {
+    setZonePoints([]);
+    setIsDrawingZone(false);
+  };
+
+  const undoZonePoint = () => {
+    setZonePoints((prev) => prev.slice(0, -1));
+  };
+
+  const finishZoneDrawing = () => {
+    if (zonePoints.length < 3) {
+      alert("A zone needs at least 3 points");
       return;
     }
 
-    const alarm = alarms[index];
-    if (!alarm) return;
+    const polygon = zonePoints;
+    const location = getPolygonCenter(polygon);
+    cancelZoneDrawing();
 
-    const confirmDelete = confirm(
-      `Are you sure you want to delete the alarm: ${alarm.name}?`
-    );
-    if (!confirmDelete) return;
+    openAlarmEditor({
+      name: `Zone at ${location[0].toFixed(4)}, ${location[1].toFixed(4)}`,
+      shape: "polygon",
+      polygon,
+      location,
+      radius: 0,
+    });
+  };
+
+  // Route building: stops are added from map clicks, search results or an imported file
+  const startRouteBuilding = () => {
+    cancelZoneDrawing();
+    setRouteStops([]);
+    setIsBuildingRoute(true);
+    setBottomSheetExpanded(false);
+  };
+
+  const cancelRouteBuilding = () => {
+    setRouteStops([]);
+    setIsBuildingRoute(false);
+  };
+
+  const addRouteStop = (location, name) => {
+    setRouteStops((prev) => [
+      ...prev,
+      { name: name || `Stop ${prev.length + 1}`, location },
+    ]);
+  };
+
+  const undoRouteStop = () => {
+    setRouteStops((prev) => prev.slice(0, -1));
+  };
+
+  const openRouteEditor = (stops) => {
+    const destination = stops[stops.length - 1];
+    openAlarmEditor({
+      name: `To ${destination.name}`,
+      shape: "route",
+      stops,
+      location: destination.location,
+      radius: 150,
+      triggerMode: "enter",
+      routeTrigger: { ...DEFAULT_ROUTE_TRIGGER },
+    });
+  };
+
+  const finishRouteBuilding = () => {
+    if (routeStops.length < 2) {
+      alert("A route needs at least 2 stops");
+      return;
+    }
+
+    const stops = routeStops;
+    cancelRouteBuilding();
+    openRouteEditor(stops);
+  };
+
+  // Draw the route being built on the map
+  useEffect(() => {
+    if (!map || !window.L) return;
+
+    if (routePreviewRef.current) {
+      map.removeLayer(routePreviewRef.current);
+      routePreviewRef.current = null;
+    }
+
+    if (!isBuildingRoute || routeStops.length === 0) return;
+
+    routePreviewRef.current = createRouteLayer(routeStops, 0, {
+      color: "#667eea",
+      dashArray: "6 6",
+    }).addTo(map);
+  }, [map, isBuildingRoute, routeStops]);
+
+  // Draw the in-progress zone on the map
+  useEffect(() => {
+    if (!map || !window.L) return;
+
+    if (zonePreviewRef.current) {
+      map.removeLayer(zonePreviewRef.current);
+      zonePreviewRef.current = null;
+    }
+
+    if (!isDrawingZone || zonePoints.length === 0) return;
+
+    const preview =
+      zonePoints.length < 3
+        ? window.L.polyline(zonePoints, { color: "#667eea", dashArray: "6 6" })
+        : window.L.polygon(zonePoints, {
+            color: "#667eea",
+            fillColor: "#667eea",
+            fillOpacity: 0.15,
+            dashArray: "6 6",
+          });
+    preview.addTo(map);
+    zonePreviewRef.current = preview;
+  }, [map, isDrawingZone, zonePoints]);
+
+  // Close the editor if the alarm being edited was deleted (e.g. a one-time
+  // alarm removed by the service worker)
+  useEffect(() => {
+    if (editingAlarmId && !alarms.some((a) => a.id === editingAlarmId)) {
+      setAlarmDraft(null);
+    }
+  }, [alarms, editingAlarmId]);
+
+  // Polyline through the stops with a small circle at each one
+  const createRouteLayer = (stops, stopRadius, style) => {
+    const L = window.L;
+    const points = stops.map((stop) => stop.location);
+    const layers = [L.polyline(points, { weight: 4, ...style })];
+    stops.forEach((stop, index) => {
+      const isDestination = index === stops.length - 1;
+      layers.push(
+        L.circle(stop.location, {
+          radius: isDestination && stopRadius ? stopRadius : 15,
+          fillOpacity: isDestination ? 0.2 : 0.6,
+          weight: 2,
+          ...style,
+        }).bindTooltip(stop.name)
+      );
+    });
+    return L.layerGroup(layers);
+  };
+
+  // Live preview of the alarm being edited.
+  // The center marker can be dragged to move the zone, circles also get a
+  // handle on their edge to drag the radius.
+  useEffect(() => {
+    if (!map || !window.L) return;
+
+    if (editorPreviewRef.current) {
+      map.removeLayer(editorPreviewRef.current);
+      editorPreviewRef.current = null;
+    }
+
+    if (!alarmDraft || !alarmDraft.location) return;
+
+    const L = window.L;
+
+    // Routes are edited through their stop list, so the preview is not draggable
+    if (alarmDraft.shape === "route") {
+      editorPreviewRef.current = createRouteLayer(
+        alarmDraft.stops,
+        Number(alarmDraft.radius) || 0,
+        { color: "#667eea", fillColor: "#667eea", dashArray: "6 6" }
+      ).addTo(map);
+      return;
+    }
+
+    const isPolygon = alarmDraft.shape === "polygon";
+    const previewStyle = {
+      color: "#667eea",
+      fillColor: "#667eea",
+      fillOpacity: 0.15,
+      dashArray: "6 6",
+    };
+
+    // Point due east of the center at the given distance
+    const edgePoint = ([lat, lng], radius) => [
+      lat,
+      lng + radius / (111320 * Math.cos((lat * Math.PI) / 180)),
+    ];
+    // Polygon vertices shifted by the same offset as the center
+    const shiftPolygon = ([lat, lng]) =>
+      alarmDraft.polygon.map(([pLat, pLng]) => [
+        pLat + lat - alarmDraft.location[0],
+        pLng + lng - alarmDraft.location[1],
+      ]);
+
+    const radius = Number(alarmDraft.radius) || 0;
+    const zone = isPolygon
+      ? L.polygon(alarmDraft.polygon, previewStyle)
+      : L.circle(alarmDraft.location, { radius, ...previewStyle });
+
+    const centerMarker = L.marker(alarmDraft.location, {
+      icon: createAlarmIcon(false),
+      draggable: true,
+      title: "Drag to move",
+    });
+
+    const layers = [zone, centerMarker];
+    let radiusHandle = null;
+
+    if (!isPolygon) {
+      radiusHandle = L.marker(edgePoint(alarmDraft.location, radius), {
+        icon: L.divIcon({ className: "radiusHandle", iconSize: [18, 18] }),
+        draggable: true,
+        title: "Drag to resize",
+      });
+      layers.push(radiusHandle);
+
+      radiusHandle.on("drag", (e) => {
+        const { lat, lng } = e.target.getLatLng();
+        zone.setRadius(getDistance(alarmDraft.location, [lat, lng]));
+      });
+      radiusHandle.on("dragend", (e) => {
+        const { lat, lng } = e.target.getLatLng();
+        const newRadius = Math.max(
+          10,
+          Math.round(getDistance(alarmDraft.location, [lat, lng]))
+        );
+        setAlarmDraft((prev) => (prev ? { ...prev, radius: newRadius } : prev));
+      });
+    }
+
+    centerMarker.on("drag", (e) => {
+      const { lat, lng } = e.target.getLatLng();
+      if (isPolygon) {
+        zone.setLatLngs(shiftPolygon([lat, lng]));
+      } else {
+        zone.setLatLng([lat, lng]);
+        radiusHandle.setLatLng(edgePoint([lat, lng], radius));
+      }
+    });
+    centerMarker.on("dragend", (e) => {
+      const { lat, lng } = e.target.getLatLng();
+      const changes = isPolygon
+        ? { location: [lat, lng], polygon: shiftPolygon([lat, lng]) }
+        : { location: [lat, lng] };
+      setAlarmDraft((prev) => (prev ? { ...prev, ...changes } : prev));
+    });
+
+    const preview = L.layerGroup(layers).addTo(map);
+    editorPreviewRef.current = preview;
+  }, [map, alarmDraft]);
+
+  // Delete alarm function with fixed syntax
+  const deleteAlarm = async (alarmId) => {
+    const alarm = alarms.find((a) => a.id === alarmId);
+    if (!alarm) return;
+
+    const confirmDelete = confirm(
+      `Are you sure you want to delete the alarm: ${alarm.name}?`
+    );
+    if (!confirmDelete) return;
+
+    if (editingAlarmId === alarmId) closeAlarmEditor();
+    await removeAlarmRecord(alarmId);
+    console.log("Alarm deleted from storage:", alarm.name);
+  };
+
+  // A disabled alarm keeps its settings but neither checker evaluates it
+  const toggleAlarmEnabled = (alarmId) => {
+    const alarm = alarms.find((a) => a.id === alarmId);
+    if (!alarm) return;
+    updateAlarmRecord(alarmId, { enabled: alarm.enabled === false });
+  };
+
+  // Groups are saved on their own (not in the settings effect), like the retention setting
+  const saveAlarmGroups = async (groups) => {
+    setAlarmGroups(groups);
+    try {
+      await database.saveSettings({ [ALARM_GROUPS_KEY]: groups });
+    } catch (error) {
+      console.error("Failed to save alarm groups:", error);
+    }
+  };
+
+  const openGroupForm = (group) => {
+    setGroupDraft(
+      group
+        ? { ...group }
+        : { name: "", color: GROUP_COLORS[alarmGroups.length % GROUP_COLORS.length] }
+    );
+  };
+
+  const saveGroupDraft = (e) => {
+    e.preventDefault();
+    const name = groupDraft.name.trim();
+    if (!name) return;
+
+    if (groupDraft.id) {
+      saveAlarmGroups(
+        alarmGroups.map((g) => (g.id === groupDraft.id ? { ...groupDraft, name } : g))
+      );
+    } else {
+      saveAlarmGroups([...alarmGroups, { ...groupDraft, id: generateId(), name }]);
+    }
+    setGroupDraft(null);
+  };
+
+  // Removing a group keeps its alarms, they move to the ungrouped list
+  const removeGroup = (group) => {
+    if (!confirm(`Remove the group "${group.name}"? Its alarms are kept without a group.`)) {
+      return;
+    }
+    alarms
+      .filter((a) => a.groupId === group.id)
+      .forEach((a) => updateAlarmRecord(a.id, { groupId: null }));
+    saveAlarmGroups(alarmGroups.filter((g) => g.id !== group.id));
+    setGroupDraft(null);
+  };
+
+  const toggleGroupCollapsed = (groupId) => {
+    setCollapsedGroups((prev) => {
+      const next = new Set(prev);
+      if (next.has(groupId)) {
+        next.delete(groupId);
+      } else {
+        next.add(groupId);
+      }
+      return next;
+    });
+  };
+
+  const setGroupEnabled = (groupId, enabled) => {
+    getGroupAlarms(alarms, alarmGroups, groupId)
+      .filter((alarm) => (alarm.enabled !== false) !== enabled)
+      .forEach((alarm) => updateAlarmRecord(alarm.id, { enabled }));
+  };
+
+  const deleteGroupAlarms = async (groupId, label) => {
+    const groupAlarms = getGroupAlarms(alarms, alarmGroups, groupId);
+    if (groupAlarms.length === 0) return;
+    if (!confirm(`Delete all ${groupAlarms.length} alarms in ${label}? This can't be undone.`)) {
+      return;
+    }
+
+    if (groupAlarms.some((a) => a.id === editingAlarmId)) closeAlarmEditor();
+    await Promise.all(groupAlarms.map((alarm) => removeAlarmRecord(alarm.id)));
+  };
+
+  // Download one group's alarms as a backup file that can be imported elsewhere
+  const exportGroup = async (groupId, label) => {
+    try {
+      const data = await database.exportGroup(groupId);
+      const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+      downloadJson(data, `geoalarm-${slug || "group"}-${exportDate()}.json`);
+      setBackupStatus({
+        type: "success",
+        text: `Exported ${data.alarms.length} alarms from ${label}`,
+      });
+    } catch (error) {
+      console.error("Group export failed:", error);
+      setBackupStatus({ type: "error", text: "Export failed. Please try again." });
+    }
+  };
+
+  const handleRequestLocation = () => {
+  // First get current location
+  navigator.geolocation.getCurrentPosition(
+    (position) => {
+      const newLocation = [position.coords.latitude, position.coords.longitude];
+      setUserLocation(newLocation);
+      setLocationAccuracy(position.coords.accuracy);
+      setLastLocationUpdate(Date.now());
+      setIsTracking(true);
+      
+      // Then start continuous tracking
+      setBackgroundTrackingEnabled(true);
+    },
+    (error) => {
+      console.error("Failed to get initial location:", error);
+      setIsTracking(false);
+      alert("Failed to get your location. Please check your browser settings.");
+    },
+    {
+      enableHighAccuracy: true,
+      timeout: 10000,
+      maximumAge: 0
+    }
+  );
+};
+
+  const toggleBackgroundTracking = () => {
+    setBackgroundTrackingEnabled(!backgroundTrackingEnabled);
+  };
+
+  // Enhanced audio initialization
+  const handleInitializeAudio = async () => {
+    try {
+      console.log("Manual audio initialization requested");
+
+      const result = await initializeAudio(audioInitialized, soundEnabled);
+      setAudioInitialized(result);
+
+      if (result) {
+        console.log("Audio successfully initialized");
+
+        if ("vibrate" in navigator) {
+          navigator.vibrate([100, 50, 100]);
+        }
+
+        // Test audio with platform-specific delay
+        setTimeout(
+          async () => {
+            try {
+              await playVoiceAlert("Audio is now ready");
+            } catch (error) {
+              console.error("Test audio failed:", error);
+            }
+          },
+          isIOS ? 300 : 200
+        );
+      } else {
+        console.warn("Audio initialization failed");
+        alert(
+          "Audio initialization failed. Please try again or check your browser settings."
+        );
+      }
+    } catch (error) {
+      console.error("Manual audio initialization error:", error);
+      alert("Audio setup failed. This may be due to browser restrictions.");
+    }
+  };
+
+  // Search functionality
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!searchQuery.trim()) return;
+
+    setIsSearching(true);
+    try {
+      const results = await searchLocation(searchQuery);
+      setSearchResults(results);
+      setShowSearchResults(true);
+    } catch (error) {
+      console.error("Search failed:", error);
+      alert("Search failed. Please try again.");
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const selectSearchResult = (result) => {
+    const { lat, lon, display_name } = result;
+    const location = [parseFloat(lat), parseFloat(lon)];
+
+    if (map) {
+      map.setView(location, 15);
+    }
+
+    setSearchQuery("");
+    setSearchResults([]);
+    setShowSearchResults(false);
+
+    // While building a route the result becomes the next stop
+    if (isBuildingRoute) {
+      addRouteStop(location, display_name.split(",")[0]);
+      return;
+    }
+
+    openAlarmEditor({ name: display_name.split(",")[0], location });
+  };
+
+  const clearSearch = () => {
+    setSearchQuery("");
+    setSearchResults([]);
+    setShowSearchResults(false);
+  };
+
+  const toggleBottomSheet = () => {
+    setBottomSheetExpanded(!bottomSheetExpanded);
+  };
+
+  // Handle search input focus to prevent viewport zoom
+  const handleSearchFocus = (e) => {
+    e.target.style.fontSize = "16px";
+
+    if (isMobile) {
+      setTimeout(() => {
+        window.scrollTo({ top: 0, behavior: "smooth" });
+      }, 300);
+    }
+  };
+
+  // Save JSON as a file through a temporary download link
+  const downloadJson = (data, fileName, type = "application/json") => {
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  const exportDate = () => new Date().toISOString().slice(0, 10);
+
+  // Download every alarm, setting and stored location as a JSON file
+  const handleExportBackup = async () => {
+    try {
+      const data = await database.exportData();
+      downloadJson(data, `geoalarm-backup-${exportDate()}.json`);
+
+      setBackupStatus({
+        type: "success",
+        text: `Exported ${data.alarms.length} alarms and ${data.locations.length} locations`,
+      });
+    } catch (error) {
+      console.error("Backup export failed:", error);
+      setBackupStatus({ type: "error", text: "Export failed. Please try again." });
+    }
+  };
+
+  // Download alarms and the location track as GeoJSON for GIS tools
+  const handleExportGeoJSON = async () => {
+    try {
+      const collection = await database.exportGeoJSON({ trackAs: geoJsonTrackAs });
+      downloadJson(
+        collection,
+        `geoalarm-${exportDate()}.geojson`,
+        "application/geo+json"
+      );
+
+      setBackupStatus({
+        type: "success",
+        text: `Exported ${collection.features.length} GeoJSON features`,
+      });
+    } catch (error) {
+      console.error("GeoJSON export failed:", error);
+      setBackupStatus({ type: "error", text: "GeoJSON export failed. Please try again." });
+    }
+  };
+
+  // Read and validate the chosen file, then ask whether to merge or replace
+  const handleBackupFileSelected = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+
+    try {
+      const data = JSON.parse(await file.text());
+      const backup = validateBackup(data);
+      setPendingImport({ data, fileName: file.name, alarmCount: backup.alarms.length });
+      setBackupStatus(null);
+    } catch (error) {
+      setPendingImport(null);
+      setBackupStatus({
+        type: "error",
+        text: error instanceof SyntaxError ? "That file is not valid JSON" : error.message,
+      });
+    }
+  };
+
+  const confirmImport = async (mode) => {
+    if (!pendingImport) return;
+
+    try {
+      const report = await database.importData(pendingImport.data, { mode });
+
+      // Reload from storage so state matches what was merged
+      setAlarms(await database.loadAlarms());
+      applySavedSettings(await database.loadSettings());
+      zoneStatesRef.current = new Map();
+
+      const parts = [`${report.added} added`];
+      if (report.updated) parts.push(`${report.updated} updated`);
+      if (report.kept) parts.push(`${report.kept} kept (local copy newer)`);
+      if (report.renamed) parts.push(`${report.renamed} duplicate IDs given new IDs`);
+      if (report.invalid) parts.push(`${report.invalid} invalid skipped`);
+      if (report.locations) parts.push(`${report.locations} locations`);
+      if (report.sounds) parts.push(`${report.sounds} sounds`);
+
+      setBackupStatus({ type: "success", text: `Imported: ${parts.join(", ")}` });
+    } catch (error) {
+      console.error("Backup import failed:", error);
+      setBackupStatus({ type: "error", text: `Import failed: ${error.message}` });
+    } finally {
+      setPendingImport(null);
+    }
+  };
+
+  // Parse a GPX/KML file into a preview list, nothing is saved yet
+  const handlePlacesFileSelected = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const places = parseGeoFile(await file.text(), file.name);
+      if (places.length === 0) {
+        setBackupStatus({
+          type: "error",
+          text: "No waypoints, points or polygons found in that file",
+        });
+        return;
+      }
+
+      setPlacesImport({
+        fileName: file.name,
+        radius: 100,
+        type: "persistent",
+        places: places.map((place) => ({ ...place, selected: true })),
+      });
+      setBackupStatus(null);
+    } catch (error) {
+      setBackupStatus({ type: "error", text: error.message });
+    }
+  };
+
+  const updatePlacesImport = (changes) => {
+    setPlacesImport((prev) => (prev ? { ...prev, ...changes } : prev));
+  };
+
+  const togglePlaceSelected = (index) => {
+    setPlacesImport((prev) => ({
+      ...prev,
+      places: prev.places.map((place, i) =>
+        i === index ? { ...place, selected: !place.selected } : place
+      ),
+    }));
+  };
+
+  const confirmPlacesImport = async () => {
+    if (!placesImport) return;
+
+    const radius = parseInt(placesImport.radius) || 100;
+    const selected = placesImport.places.filter((place) => place.selected);
+
+    for (const place of selected) {
+      const newAlarm = {
+        id: generateId(),
+        name: place.name,
+        location: place.location,
+        radius: place.shape === "polygon" ? 0 : radius,
+        triggerMode: "enter",
+        dwellMinutes: null,
+        triggered: false,
+        createdAt: new Date().toISOString(),
+        type: placesImport.type,
+        expiresAt: null,
+      };
+      if (place.shape === "polygon") {
+        newAlarm.shape = "polygon";
+        newAlarm.polygon = place.polygon;
+      }
+      await addAlarmRecord(newAlarm);
+    }
+
+    setPlacesImport(null);
+    setBackupStatus({
+      type: "success",
+      text: `Imported ${selected.length} alarms from ${placesImport.fileName}`,
+    });
+  };
+
+  // The selected places, in file order, become the stops of one route alarm
+  const createRouteFromPlaces = () => {
+    if (!placesImport) return;
+
+    const stops = placesImport.places
+      .filter((place) => place.selected)
+      .map((place) => ({ name: place.name, location: place.location }));
+    if (stops.length < 2) return;
+
+    setPlacesImport(null);
+    cancelZoneDrawing();
+    cancelRouteBuilding();
+    openRouteEditor(stops);
+  };
+
+  const renderPlacesPreview = () => {
+    const selectedCount = placesImport.places.filter((p) => p.selected).length;
+
+    return (
+      <div className="backupConfirm">
+        <p>
+          <strong>{placesImport.fileName}</strong>: {placesImport.places.length}{" "}
+          places found
+        </p>
+
+        <div className="placesOptions">
+          <label>
+            Default radius (m)
+            <input
+              type="number"
+              min="10"
+              value={placesImport.radius}
+              onChange={(e) => updatePlacesImport({ radius: e.target.value })}
+            />
+          </label>
+          <label>
+            Type
+            <select
+              value={placesImport.type}
+              onChange={(e) => updatePlacesImport({ type: e.target.value })}
+            >
+              <option value="persistent">Persistent</option>
+              <option value="oneTime">One-time use</option>
+            </select>
+          </label>
+        </div>
+
+        <ul className="placesList">
+          {placesImport.places.map((place, index) => (
+            <li key={index}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={place.selected}
+                  onChange={() => togglePlaceSelected(index)}
+                />
+                <span className="placeName">
+                  {place.shape === "polygon" ? "⬡" : "📍"} {place.name}
+                </span>
+                <small>
+                  {place.shape === "polygon"
+                    ? `${place.polygon.length} points`
+                    : `${place.location[0].toFixed(4)}, ${place.location[1].toFixed(4)}`}
+                </small>
+              </label>
+            </li>
+          ))}
+        </ul>
+
+        <div className="backupActions">
+          <button
+            onClick={confirmPlacesImport}
+            className="backupBtn primary"
+            disabled={selectedCount === 0}
+          >
+            Import {selectedCount}
+          </button>
+          <button
+            onClick={createRouteFromPlaces}
+            className="backupBtn"
+            disabled={selectedCount < 2}
+            title="Use the selected places as the stops of one route alarm"
+          >
+            🚏 Route from {selectedCount}
+          </button>
+          <button onClick={() => setPlacesImport(null)} className="backupBtn">
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  // Location history: load the stored track and the alarm triggers to mark on it
+  const openHistory = async () => {
+    closeAlarmEditor();
+    setEventLog(null);
+    setStatsView(null);
+    cancelZoneDrawing();
+    cancelRouteBuilding();
+    setHistory({ loading: true, locations: [], triggers: [], colorBy: "speed", until: 0 });
+
+    try {
+      const [records, triggers] = await Promise.all([
+        database.getAllLocations(),
+        database.getTriggerHistory(),
+      ]);
+      const locations = records
+        .filter((l) => Number.isFinite(l.latitude) && Number.isFinite(l.longitude))
+        .sort((a, b) => a.timestamp - b.timestamp);
+
+      setHistory((prev) =>
+        prev && {
+          ...prev,
+          loading: false,
+          locations,
+          triggers,
+          until: locations.length ? locations[locations.length - 1].timestamp : 0,
+        }
+      );
+
+      if (map && locations.length > 1) {
+        map.fitBounds(
+          locations.map((l) => [l.latitude, l.longitude]),
+          { padding: [40, 40] }
+        );
+      }
+    } catch (error) {
+      console.error("Failed to load location history:", error);
+      setHistory(null);
+      alert("Could not load the location history");
+    }
+  };
+
+  const updateHistory = (changes) => {
+    setHistory((prev) => (prev ? { ...prev, ...changes } : prev));
+  };
+
+  const closeHistory = () => {
+    setHistory(null);
+  };
+
+  // Alarm event log, loaded once when opened and filtered in the panel
+  const openEventLog = async () => {
+    closeAlarmEditor();
+    closeHistory();
+    setStatsView(null);
+    setEventLog({ loading: true, events: [], filters: DEFAULT_EVENT_FILTERS, limit: 0 });
+
+    try {
+      const events = await database.getEvents();
+      setEventLog((prev) => prev && { ...prev, loading: false, events });
+    } catch (error) {
+      console.error("Failed to load the event log:", error);
+      setEventLog(null);
+      alert("Could not load the event log");
+    }
+  };
+
+  const updateEventLog = (changes) => {
+    setEventLog((prev) => (prev ? { ...prev, ...changes } : prev));
+  };
+
+  const clearEventLog = async () => {
+    if (!confirm("Delete every logged alarm event?")) return;
+    try {
+      await database.clearEvents();
+      updateEventLog({ events: [] });
+    } catch (error) {
+      console.error("Failed to clear the event log:", error);
+    }
+  };
+
+  // Stats for one alarm from the event log and the location track
+  const openAlarmStats = async (alarmId) => {
+    const alarm = alarms.find((a) => a.id === alarmId);
+    if (!alarm) return;
 
-    const newAlarms = alarms.filter((_, i) => i !== index);
-    setAlarms(newAlarms);
+    closeAlarmEditor();
+    closeHistory();
+    setEventLog(null);
+    setStatsView({ alarm, loading: true, stats: null });
+    if (isMobile) setBottomSheetExpanded(true);
 
     try {
-      await database.saveAlarms(newAlarms);
-      if ("serviceWorker" in navigator && navigator.serviceWorker.controller) {
-        navigator.serviceWorker.controller.postMessage({
-          type: "SYNC_ALARMS",
-          data: { alarms: newAlarms },
-        });
-      }
-      console.log("Alarm deleted from storage:", alarm.name);
+      const [events, locations] = await Promise.all([
+        database.getEvents(),
+        database.getAllLocations(),
+      ]);
+      const stats = computeAlarmStats(alarm, events, locations);
+      setStatsView((prev) =>
+        prev && prev.alarm.id === alarmId ? { ...prev, loading: false, stats } : prev
+      );
     } catch (error) {
-      console.error("Failed to delete alarm from storage:", error);
+      console.error("Failed to compute alarm stats:", error);
+      setStatsView(null);
+      alert("Could not load the stats for this alarm");
     }
   };
 
-  const handleRequestLocation = () => {
-  // First get current location
-  navigator.geolocation.getCurrentPosition(
-    (position) => {
-      const newLocation = [position.coords.latitude, position.coords.longitude];
-      setUserLocation(newLocation);
-      setLocationAccuracy(position.coords.accuracy);
-      setLastLocationUpdate(Date.now());
-      setIsTracking(true);
-      
-      // Then start continuous tracking
-      setBackgroundTrackingEnabled(true);
-    },
-    (error) => {
-      console.error("Failed to get initial location:", error);
-      setIsTracking(false);
-      alert("Failed to get your location. Please check your browser settings.");
-    },
-    {
-      enableHighAccuracy: true,
-      timeout: 10000,
-      maximumAge: 0
-    }
+  const renderAlarmStats = () => (
+    <AlarmStats view={statsView} onClose={() => setStatsView(null)} />
   );
-};
 
-  const toggleBackgroundTracking = () => {
-    setBackgroundTrackingEnabled(!backgroundTrackingEnabled);
-  };
+  const renderEventLog = () => (
+    <EventLog
+      log={eventLog}
+      onChange={updateEventLog}
+      onClear={clearEventLog}
+      onClose={() => setEventLog(null)}
+    />
+  );
 
-  // Enhanced audio initialization
-  const handleInitializeAudio = async () => {
-    try {
-      console.log("Manual audio initialization requested");
+  // Draw the track up to the slider time, colored per segment, with trigger markers
+  useEffect(() => {
+    if (!map || !window.L) return;
 
-      const result = await initializeAudio(audioInitialized, soundEnabled);
-      setAudioInitialized(result);
+    if (historyLayerRef.current) {
+      map.removeLayer(historyLayerRef.current);
+      historyLayerRef.current = null;
+    }
 
-      if (result) {
-        console.log("Audio successfully initialized");
+    if (!history || history.loading || history.locations.length === 0) return;
+
+    const L = window.L;
+    const { locations, triggers, colorBy, until } = history;
+    const lastIndex = findPointIndex(locations, until);
+    const visible = locations.slice(0, lastIndex + 1);
+    const runs = [];
+
+    // Consecutive segments with the same color share one polyline
+    let run = null;
+    for (let i = 1; i < visible.length; i++) {
+      const from = visible[i - 1];
+      const to = visible[i];
+      if (to.timestamp - from.timestamp > TRACK_GAP) {
+        run = null;
+        continue;
+      }
 
-        if ("vibrate" in navigator) {
-          navigator.vibrate([100, 50, 100]);
+      const color = getTrackColor(to, colorBy);
+      if (!run || run.color !== color) {
+        run = { color, points: [[from.latitude, from.longitude]] };
+        runs.push(run);
+      }
+      run.points.push([to.latitude, to.longitude]);
+    }
+    const layers = runs.map((r) =>
+      L.polyline(r.points, { color: r.color, weight: 5, opacity: 0.85 })
+    );
+
+    const current = visible[visible.length - 1];
+    if (current) {
+      layers.push(
+        L.circleMarker([current.latitude, current.longitude], {
+          radius: 7,
+          color: "#fff",
+          weight: 2,
+          fillColor: getTrackColor(current, colorBy),
+          fillOpacity: 1,
+        }).bindTooltip(new Date(current.timestamp).toLocaleString())
+      );
+    }
+
+    // Triggers without a stored position go on the track point closest in time
+    triggers
+      .filter((trigger) => trigger.timestamp <= until)
+      .forEach((trigger) => {
+        let position = trigger.location;
+        if (!position) {
+          const index = findPointIndex(locations, trigger.timestamp);
+          const nearest = [locations[index], locations[index + 1]]
+            .filter(Boolean)
+            .sort(
+              (a, b) =>
+                Math.abs(a.timestamp - trigger.timestamp) -
+                Math.abs(b.timestamp - trigger.timestamp)
+            )[0];
+          if (!nearest || Math.abs(nearest.timestamp - trigger.timestamp) > TRACK_GAP) {
+            return;
+          }
+          position = [nearest.latitude, nearest.longitude];
         }
 
-        // Test audio with platform-specific delay
-        setTimeout(
-          async () => {
-            try {
-              await playVoiceAlert("Audio is now ready");
-            } catch (error) {
-              console.error("Test audio failed:", error);
-            }
-          },
-          isIOS ? 300 : 200
-        );
-      } else {
-        console.warn("Audio initialization failed");
-        alert(
-          "Audio initialization failed. Please try again or check your browser settings."
+        layers.push(
+          L.marker(position, {
+            icon: L.divIcon({
+              className: "historyTriggerIcon",
+              html: "🚨",
+              iconSize: [24, 24],
+            }),
+          }).bindTooltip(
+            `${trigger.alarmName} • ${new Date(trigger.timestamp).toLocaleString()}`
+          )
         );
-      }
+      });
+
+    historyLayerRef.current = L.layerGroup(layers).addTo(map);
+  }, [map, history]);
+
+  const renderHistory = () => (
+    <HistoryPanel
+      history={history}
+      onChange={updateHistory}
+      onClose={closeHistory}
+    />
+  );
+
+  // Retention is saved on its own (not in the settings effect) and applied right
+  // away, so tightening it trims the stored history immediately
+  const changeLocationRetention = async (changes) => {
+    const retention = { ...locationRetention, ...changes };
+    setLocationRetention(retention);
+    try {
+      await database.saveSettings({ [LOCATION_RETENTION_KEY]: retention });
+      await database.pruneLocationHistory();
     } catch (error) {
-      console.error("Manual audio initialization error:", error);
-      alert("Audio setup failed. This may be due to browser restrictions.");
+      console.error("Failed to save location retention:", error);
     }
   };
 
-  // Search functionality
-  const handleSearch = async (e) => {
-    e.preventDefault();
-    if (!searchQuery.trim()) return;
-
-    setIsSearching(true);
+  const clearLocationHistory = async () => {
+    if (!confirm("Delete all recorded locations? This can't be undone.")) return;
     try {
-      const results = await searchLocation(searchQuery);
-      setSearchResults(results);
-      setShowSearchResults(true);
+      await database.clearLocationHistory();
+      closeHistory();
+      setBackupStatus({ type: "success", text: "Location history deleted" });
     } catch (error) {
-      console.error("Search failed:", error);
-      alert("Search failed. Please try again.");
-    } finally {
-      setIsSearching(false);
+      console.error("Failed to clear location history:", error);
     }
   };
 
-  const selectSearchResult = (result) => {
-    const { lat, lon, display_name } = result;
-    const location = [parseFloat(lat), parseFloat(lon)];
+  // Select values are strings, "" means no limit
+  const limitValue = (value) => (value === "" ? null : Number(value));
+
+  const renderHistorySection = () => (
+    <div className="backupSection">
+      <h2 className="sectionTitle">🕘 History</h2>
+
+      <label className="toggleLabel">
+        <input
+          type="checkbox"
+          checked={locationRetention.enabled}
+          onChange={(e) => changeLocationRetention({ enabled: e.target.checked })}
+          className="toggleInput"
+        />
+        <span className="toggleSlider"></span>
+        <span>Record location history</span>
+      </label>
+
+      {locationRetention.enabled && (
+        <div className="placesOptions">
+          <label>
+            Max points
+            <select
+              value={locationRetention.maxRecords ?? ""}
+              onChange={(e) =>
+                changeLocationRetention({ maxRecords: limitValue(e.target.value) })
+              }
+            >
+              <option value="100">100 points</option>
+              <option value="1000">1,000 points</option>
+              <option value="10000">10,000 points</option>
+              <option value="50000">50,000 points</option>
+              <option value="">No limit</option>
+            </select>
+          </label>
+          <label>
+            Max age
+            <select
+              value={locationRetention.maxAgeDays ?? ""}
+              onChange={(e) =>
+                changeLocationRetention({ maxAgeDays: limitValue(e.target.value) })
+              }
+            >
+              <option value="1">1 day</option>
+              <option value="7">7 days</option>
+              <option value="30">30 days</option>
+              <option value="365">1 year</option>
+              <option value="">Forever</option>
+            </select>
+          </label>
+        </div>
+      )}
+      {!locationRetention.enabled && (
+        <small>New locations are not recorded, ETA alarms use the live GPS speed</small>
+      )}
 
-    if (map) {
-      map.setView(location, 15);
-    }
+      <div className="backupActions">
+        <button
+          onClick={history ? closeHistory : openHistory}
+          className="backupBtn"
+        >
+          {history ? "Hide location history" : "🗺️ View location history"}
+        </button>
+        <button
+          onClick={eventLog ? () => setEventLog(null) : openEventLog}
+          className="backupBtn"
+        >
+          {eventLog ? "Hide event log" : "📜 Event log"}
+        </button>
+        <button onClick={clearLocationHistory} className="backupBtn danger">
+          🗑️ Delete history
+        </button>
+      </div>
+    </div>
+  );
 
-    setSearchQuery("");
-    setSearchResults([]);
-    setShowSearchResults(false);
+  const renderBackupSection = () => (
+    <div className="backupSection">
+      <h2 className="sectionTitle">💾 Import & Export</h2>
+
+      <div className="backupActions">
+        <button onClick={handleExportBackup} className="backupBtn">
+          ⬇️ Export backup
+        </button>
+        <button
+          onClick={() => backupFileInputRef.current?.click()}
+          className="backupBtn"
+        >
+          ⬆️ Import backup
+        </button>
+        <input
+          ref={backupFileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleBackupFileSelected}
+          style={{ display: "none" }}
+        />
+        <button
+          onClick={() => placesFileInputRef.current?.click()}
+          className="backupBtn"
+        >
+          🗺️ Import GPX / KML
+        </button>
+        <input
+          ref={placesFileInputRef}
+          type="file"
+          accept=".gpx,.kml,application/gpx+xml,application/vnd.google-earth.kml+xml"
+          onChange={handlePlacesFileSelected}
+          style={{ display: "none" }}
+        />
+      </div>
 
-    setTimeout(() => {
-      const createAlarm = confirm(`Create alarm at: ${display_name}?`);
-      if (createAlarm) {
-        const name = prompt("Enter alarm name:", display_name.split(",")[0]);
-        if (name) {
-          const radiusInput = prompt("Enter radius in meters (default: 100):");
-          const radius = parseInt(radiusInput) || 100;
+      <div className="placesOptions">
+        <label>
+          GeoJSON track
+          <select
+            value={geoJsonTrackAs}
+            onChange={(e) => setGeoJsonTrackAs(e.target.value)}
+          >
+            <option value="line">As a line</option>
+            <option value="points">As points</option>
+          </select>
+        </label>
+        <button onClick={handleExportGeoJSON} className="backupBtn">
+          🌐 Export GeoJSON
+        </button>
+      </div>
 
-          const alarmType = confirm(
-            "One-time use alarm? (OK = Yes, Cancel = Persistent)"
-          )
-            ? "oneTime"
-            : "persistent";
-
-          let expiresAt = null;
-          if (alarmType === "persistent") {
-            const hours = prompt(
-              "Auto-delete after how many hours? (default: never, enter 0 for never):"
-            );
-            const hoursNum = parseInt(hours);
-            if (hoursNum && hoursNum > 0) {
-              expiresAt = new Date(
-                Date.now() + hoursNum * 60 * 60 * 1000
-              ).toISOString();
-            }
-          }
+      {placesImport && renderPlacesPreview()}
+
+      {pendingImport && (
+        <div className="backupConfirm">
+          <p>
+            <strong>{pendingImport.fileName}</strong> contains{" "}
+            {pendingImport.alarmCount} alarms.
+          </p>
+          <small>
+            Merge keeps your alarms and adds the new ones. Replace deletes your
+            alarms and location history first.
+          </small>
+          <div className="backupActions">
+            <button onClick={() => confirmImport("merge")} className="backupBtn primary">
+              Merge
+            </button>
+            <button onClick={() => confirmImport("replace")} className="backupBtn danger">
+              Replace
+            </button>
+            <button onClick={() => setPendingImport(null)} className="backupBtn">
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
 
-          setAlarms((prev) => [
-            ...prev,
-            {
-              name,
-              location,
-              radius,
-              triggered: false,
-              createdAt: new Date().toISOString(),
-              type: alarmType,
-              expiresAt: expiresAt,
-            },
-          ]);
-        }
-      }
-    }, 500);
-  };
+      {backupStatus && (
+        <p className={`backupStatus ${backupStatus.type}`}>{backupStatus.text}</p>
+      )}
+    </div>
+  );
 
-  const clearSearch = () => {
-    setSearchQuery("");
-    setSearchResults([]);
-    setShowSearchResults(false);
+  // Play a draft's alert profile from the editor
+  const previewAlert = async (draft) => {
+    try {
+      if (!audioInitialized) {
+        setAudioInitialized(await initializeAudio(false, true));
+      }
+      await playAlarmAlert({ ...draft, name: draft.name || "New alarm" });
+    } catch (error) {
+      console.error("Alert preview failed:", error);
+    }
   };
 
-  const toggleBottomSheet = () => {
-    setBottomSheetExpanded(!bottomSheetExpanded);
-  };
+  const renderAlarmEditor = () => (
+    <AlarmEditor
+      draft={alarmDraft}
+      groups={alarmGroups}
+      isNew={!alarmDraft.id}
+      onChange={updateAlarmDraft}
+      onSave={saveAlarmDraft}
+      onCancel={closeAlarmEditor}
+      onPreviewAlert={previewAlert}
+    />
+  );
 
-  // Handle search input focus to prevent viewport zoom
-  const handleSearchFocus = (e) => {
-    e.target.style.fontSize = "16px";
+  const renderGroupForm = () => (
+    <form className="groupForm" onSubmit={saveGroupDraft}>
+      <div className="editorRow">
+        <label className="editorField">
+          <span>Group name</span>
+          <input
+            type="text"
+            value={groupDraft.name}
+            maxLength={50}
+            onChange={(e) => setGroupDraft({ ...groupDraft, name: e.target.value })}
+            autoFocus
+          />
+        </label>
+        <label className="editorField groupColorField">
+          <span>Color</span>
+          <input
+            type="color"
+            value={groupDraft.color}
+            onChange={(e) => setGroupDraft({ ...groupDraft, color: e.target.value })}
+          />
+        </label>
+      </div>
+      <div className="editorActions">
+        {groupDraft.id && (
+          <button
+            type="button"
+            onClick={() => removeGroup(groupDraft)}
+            className="backupBtn danger"
+          >
+            Remove group
+          </button>
+        )}
+        <button type="button" onClick={() => setGroupDraft(null)} className="backupBtn">
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="backupBtn primary"
+          disabled={!groupDraft.name.trim()}
+        >
+          {groupDraft.id ? "Save group" : "Add group"}
+        </button>
+      </div>
+    </form>
+  );
 
-    if (isMobile) {
-      setTimeout(() => {
-        window.scrollTo({ top: 0, behavior: "smooth" });
-      }, 300);
-    }
-  };
+  const renderAlarmList = (emptyHint) => (
+    <AlarmList
+      alarms={alarms}
+      groups={alarmGroups}
+      view={alarmListView}
+      onViewChange={setAlarmListView}
+      collapsedGroups={collapsedGroups}
+      onToggleGroup={toggleGroupCollapsed}
+      onEditGroup={openGroupForm}
+      groupActions={{
+        setEnabled: setGroupEnabled,
+        exportAlarms: exportGroup,
+        deleteAlarms: deleteGroupAlarms,
+      }}
+      alarmActions={{
+        reset: resetAlarm,
+        toggleEnabled: toggleAlarmEnabled,
+        stats: openAlarmStats,
+        edit: editAlarm,
+        remove: deleteAlarm,
+      }}
+      describe={{
+        zone: describeAlarmZone,
+        triggerMode: describeTriggerMode,
+        schedule: describeSchedule,
+        rearm: describeRearm,
+        routeProgress: describeRouteProgress,
+        eta: describeEta,
+      }}
+      getDistance={userLocation ? getAlarmDistance : null}
+      emptyHint={emptyHint}
+    />
+  );
 
   const renderLocationStatus = () => {
   const timeSinceUpdate = lastLocationUpdate 
@@ -1268,84 +2882,39 @@ export default function GeoAlarmApp() {
       <div className="alarmsSection">
         <h2 className="sectionTitle">🔔 My Alarms ({alarms.length})</h2>
 
-        {alarms.length === 0 && (
-          <div className="emptyState">
-            <div className="emptyIcon">📍</div>
-            <p>No alarms set</p>
-            <small>Click on the map to create one</small>
-          </div>
-        )}
+        <button
+          onClick={startZoneDrawing}
+          className="locationBtn"
+          disabled={isDrawingZone}
+        >
+          ⬡ Draw Zone
+        </button>
 
-        <div className="alarmsList">
-          {alarms.map((alarm, i) => (
-            <div
-              key={i}
-              className={`alarmCard ${alarm.triggered ? "triggered" : ""}`}
-            >
-              <div className="alarmInfo">
-                <div className="alarmHeader">
-                  <span
-                    className={`alarmBell ${
-                      alarm.triggered ? "triggered" : ""
-                    }`}
-                  >
-                    {alarm.triggered ? "🚨" : "🔔"}
-                  </span>
-                  <h3>{alarm.name}</h3>
-                </div>
-                <div className="alarmDetails">
-                  <p>Radius: {alarm.radius}m</p>
-                  <p className="coordinates">
-                    {alarm.location[0].toFixed(4)},{" "}
-                    {alarm.location[1].toFixed(4)}
-                  </p>
-                  <p
-                    className={`alarmType ${
-                      alarm.type === "oneTime" ? "oneTime" : "persistent"
-                    }`}
-                  >
-                    {alarm.type === "oneTime"
-                      ? "🔄 One-time use"
-                      : "🔁 Persistent"}
-                  </p>
-                  {alarm.expiresAt && (
-                    <p className="expiresAt">
-                      ⏰ Expires: {new Date(alarm.expiresAt).toLocaleString()}
-                    </p>
-                  )}
-                  {alarm.triggered && (
-                    <p className="triggeredStatus">
-                      🚨 TRIGGERED (auto-reset in 3s)
-                    </p>
-                  )}
-                  {userLocation && (
-                    <p className="distance">
-                      Distance:{" "}
-                      {Math.round(getDistance(userLocation, alarm.location))}m
-                    </p>
-                  )}
-                </div>
-              </div>
+        <button
+          onClick={startRouteBuilding}
+          className="locationBtn"
+          disabled={isBuildingRoute}
+        >
+          🚏 Build Route
+        </button>
 
-              <div className="alarmActions">
-                {alarm.triggered && (
-                  <button onClick={() => resetAlarm(i)} className="resetBtn">
-                    Reset Now
-                  </button>
-                )}
-                <button
-                  onClick={() => deleteAlarm(i)}
-                  className="deleteBtn"
-                  title="Delete alarm"
-                >
-                  🗑️
-                </button>
-              </div>
-            </div>
-          ))}
-        </div>
+        <button
+          onClick={() => openGroupForm(null)}
+          className="locationBtn"
+          disabled={!!groupDraft}
+        >
+          🗂️ New Group
+        </button>
+
+        {groupDraft && renderGroupForm()}
+
+        {renderAlarmList("Click on the map to create one")}
       </div>
 
+      {renderHistorySection()}
+
+      {renderBackupSection()}
+
       {/* Desktop Footer */}
       <div className="sidebarFooter">
         <div className="legend">
@@ -1497,6 +3066,11 @@ export default function GeoAlarmApp() {
         </div>
 
         <div className="bottomSheetContent">
+          {alarmDraft && renderAlarmEditor()}
+          {history && renderHistory()}
+          {eventLog && renderEventLog()}
+          {statsView && renderAlarmStats()}
+
           {/* Quick Actions */}
           <div className="quickActions">
             {!isTracking ? (
@@ -1535,6 +3109,22 @@ export default function GeoAlarmApp() {
               </div>
             )}
 
+            <button
+              onClick={startZoneDrawing}
+              className={`quickActionBtn ${isDrawingZone ? "active" : ""}`}
+            >
+              <div className="quickActionIcon">⬡</div>
+              <div className="quickActionLabel">Draw Zone</div>
+            </button>
+
+            <button
+              onClick={startRouteBuilding}
+              className={`quickActionBtn ${isBuildingRoute ? "active" : ""}`}
+            >
+              <div className="quickActionIcon">🚏</div>
+              <div className="quickActionLabel">Route</div>
+            </button>
+
             {/* Live tracking status indicator */}
             {backgroundTrackingEnabled && (
               <div className="quickActionBtn active">
@@ -1666,90 +3256,22 @@ export default function GeoAlarmApp() {
           <div className="alarmsSection">
             <h2 className="sectionTitle">🔔 My Alarms ({alarms.length})</h2>
 
-            {alarms.length === 0 && (
-              <div className="emptyState">
-                <div className="emptyIcon">📍</div>
-                <p>No alarms set</p>
-                <small>Tap on the map to create one</small>
-              </div>
-            )}
+            <button
+              onClick={() => openGroupForm(null)}
+              className="locationBtn"
+              disabled={!!groupDraft}
+            >
+              🗂️ New Group
+            </button>
 
-            <div className="alarmsList">
-              {alarms.map((alarm, i) => (
-                <div
-                  key={i}
-                  className={`alarmCard ${alarm.triggered ? "triggered" : ""}`}
-                >
-                  <div className="alarmInfo">
-                    <div className="alarmHeader">
-                      <span
-                        className={`alarmBell ${
-                          alarm.triggered ? "triggered" : ""
-                        }`}
-                      >
-                        {alarm.triggered ? "🚨" : "🔔"}
-                      </span>
-                      <h3>{alarm.name}</h3>
-                    </div>
-                    <div className="alarmDetails">
-                      <p>Radius: {alarm.radius}m</p>
-                      <p className="coordinates">
-                        {alarm.location[0].toFixed(4)},{" "}
-                        {alarm.location[1].toFixed(4)}
-                      </p>
-                      <p
-                        className={`alarmType ${
-                          alarm.type === "oneTime" ? "oneTime" : "persistent"
-                        }`}
-                      >
-                        {alarm.type === "oneTime"
-                          ? "🔄 One-time use"
-                          : "🔁 Persistent"}
-                      </p>
-                      {alarm.expiresAt && (
-                        <p className="expiresAt">
-                          ⏰ Expires:{" "}
-                          {new Date(alarm.expiresAt).toLocaleString()}
-                        </p>
-                      )}
-                      {alarm.triggered && (
-                        <p className="triggeredStatus">
-                          🚨 TRIGGERED (auto-reset in 3s)
-                        </p>
-                      )}
-                      {userLocation && (
-                        <p className="distance">
-                          Distance:{" "}
-                          {Math.round(
-                            getDistance(userLocation, alarm.location)
-                          )}
-                          m
-                        </p>
-                      )}
-                    </div>
-                  </div>
+            {groupDraft && renderGroupForm()}
 
-                  <div className="alarmActions">
-                    {alarm.triggered && (
-                      <button
-                        onClick={() => resetAlarm(i)}
-                        className="resetBtn"
-                      >
-                        Reset Now
-                      </button>
-                    )}
-                    <button
-                      onClick={() => deleteAlarm(i)}
-                      className="deleteBtn"
-                      title="Delete alarm"
-                    >
-                      🗑️
-                    </button>
-                  </div>
-                </div>
-              ))}
-            </div>
+            {renderAlarmList("Tap on the map to create one")}
           </div>
+
+          {renderHistorySection()}
+
+          {renderBackupSection()}
         </div>
       </div>
     </>
@@ -1769,10 +3291,90 @@ export default function GeoAlarmApp() {
         {!isMobile && renderDesktopSidebar()}
         {isMobile && renderMobileUI()}
 
+        {/* Desktop alarm editor, the map stays visible for the preview */}
+        {!isMobile && alarmDraft && (
+          <div className="alarmEditorModal" role="dialog" aria-modal="true">
+            {renderAlarmEditor()}
+          </div>
+        )}
+
+        {/* Desktop location history, next to the track on the map */}
+        {!isMobile && history && (
+          <div className="historyModal" role="dialog">
+            {renderHistory()}
+          </div>
+        )}
+
+        {!isMobile && eventLog && (
+          <div className="historyModal" role="dialog">
+            {renderEventLog()}
+          </div>
+        )}
+
+        {!isMobile && statsView && (
+          <div className="historyModal" role="dialog">
+            {renderAlarmStats()}
+          </div>
+        )}
+
         {/* Map Container */}
         <div className="mapContainer">
           <div id="map" style={{ height: "100%", width: "100%" }}></div>
 
+          {isDrawingZone && (
+            <div className="zoneDrawToolbar">
+              <span className="zoneDrawHint">
+                {zonePoints.length < 3
+                  ? `Tap the map to add points (${zonePoints.length}/3)`
+                  : `${zonePoints.length} points`}
+              </span>
+              <button
+                onClick={undoZonePoint}
+                disabled={zonePoints.length === 0}
+                className="zoneDrawBtn"
+              >
+                ↩ Undo
+              </button>
+              <button onClick={cancelZoneDrawing} className="zoneDrawBtn">
+                ✕ Cancel
+              </button>
+              <button
+                onClick={finishZoneDrawing}
+                disabled={zonePoints.length < 3}
+                className="zoneDrawBtn primary"
+              >
+                ✓ Finish
+              </button>
+            </div>
+          )}
+
+          {isBuildingRoute && (
+            <div className="zoneDrawToolbar">
+              <span className="zoneDrawHint">
+                {routeStops.length < 2
+                  ? `Tap the map or search to add stops (${routeStops.length}/2)`
+                  : `${routeStops.length} stops, the last is your destination`}
+              </span>
+              <button
+                onClick={undoRouteStop}
+                disabled={routeStops.length === 0}
+                className="zoneDrawBtn"
+              >
+                ↩ Undo
+              </button>
+              <button onClick={cancelRouteBuilding} className="zoneDrawBtn">
+                ✕ Cancel
+              </button>
+              <button
+                onClick={finishRouteBuilding}
+                disabled={routeStops.length < 2}
+                className="zoneDrawBtn primary"
+              >
+                ✓ Finish
+              </button>
+            </div>
+          )}
+
           {!mapReady && (
             <div className="mapLoading">
               <div className="loadingSpinner"></div>
@@ -1780,6 +3382,15 @@ export default function GeoAlarmApp() {
             </div>
           )}
         </div>
+
+        {currentRing && (
+          <RingingOverlay
+            ring={currentRing}
+            waiting={ringing.length - 1}
+            onStop={stopRinging}
+            onSnooze={snoozeRinging}
+          />
+        )}
       </div>
     </>
   );
@@ -0,0 +1,722 @@
+// Geofence evaluation engine shared by the app and the service worker.
+// The page imports it as a module, the service worker loads it with importScripts('/geofence.js').
+// Everything here is pure: callers pass in the position, alarms and previous zone states.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GeoFence = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const EARTH_RADIUS = 6371e3; // meters
+  const DEFAULT_DWELL_MINUTES = 10;
+
+  // How a fired persistent alarm becomes armed again:
+  // 'leave'  - once the position is `distance` meters outside the zone (back inside for exit alarms)
+  // 'timer'  - `minutes` after it fired
+  // 'manual' - only when reset by the user
+  const DEFAULT_REARM = { mode: 'leave', distance: 50, minutes: 30 };
+
+  // Trigger hysteresis, margins are meters outside the zone edge (on top of the accuracy buffer):
+  // enterMargin   - how close counts as entering
+  // exitMargin    - how far out counts as leaving once inside (larger, so the edge doesn't flap)
+  // requiredFixes - consecutive fixes on the new side before the alarm changes side
+  const DEFAULT_THRESHOLDS = { enterMargin: 0, exitMargin: 25, requiredFixes: 2 };
+
+  // Route alarms: alarm.shape === 'route', alarm.stops = [{ name, location }] in travel order,
+  // alarm.radius = how close counts as reaching a stop,
+  // alarm.routeTrigger = { mode: 'stops' | 'eta', stopsBefore, minutesBefore } relative to the last stop
+  const DEFAULT_ROUTE_TRIGGER = { mode: 'stops', stopsBefore: 1, minutesBefore: 5 };
+  const MAX_OFF_ROUTE = 500; // meters from the route before progress is no longer trusted
+  const MIN_MOVING_SPEED = 0.5; // m/s, below this there is no meaningful ETA
+
+  // ETA alarms (triggerMode 'eta') fire once the predicted time to reach the zone
+  // drops to alarm.etaMinutes, estimated from the recent `locations` records
+  const DEFAULT_ETA_MINUTES = 5;
+  const MOTION_WINDOW = 2 * 60 * 1000; // only records this recent describe the current motion
+  const MIN_TRACK_DISTANCE = 10; // meters moved before the track gives a usable heading
+
+  // Snooze: a fired alarm with alarm.snoozedUntil fires again once that time has passed,
+  // if its trigger condition still holds. alarm.alert.snoozeMinutes sets the length.
+  const DEFAULT_SNOOZE_MINUTES = 5;
+
+  // Accuracy buffer added to every zone: half the reported accuracy, capped at 20m
+  const ACCURACY_BUFFER_RATIO = 0.5;
+  const MAX_ACCURACY_BUFFER = 20;
+  const DEFAULT_ACCURACY_BUFFER = 10; // used when accuracy is unknown
+
+  // Haversine distance in meters between two [lat, lng] points
+  function getDistance(pos1, pos2) {
+    if (!pos1 || !pos2 || !Array.isArray(pos1) || !Array.isArray(pos2)) {
+      return Infinity;
+    }
+
+    if (pos1.length < 2 || pos2.length < 2) {
+      return Infinity;
+    }
+
+    const lat1 = parseFloat(pos1[0]);
+    const lon1 = parseFloat(pos1[1]);
+    const lat2 = parseFloat(pos2[0]);
+    const lon2 = parseFloat(pos2[1]);
+
+    if (isNaN(lat1) || isNaN(lon1) || isNaN(lat2) || isNaN(lon2)) {
+      return Infinity;
+    }
+
+    const φ1 = lat1 * Math.PI / 180;
+    const φ2 = lat2 * Math.PI / 180;
+    const Δφ = (lat2 - lat1) * Math.PI / 180;
+    const Δλ = (lon2 - lon1) * Math.PI / 180;
+
+    const a = Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+      Math.cos(φ1) * Math.cos(φ2) *
+      Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return EARTH_RADIUS * c;
+  }
+
+  // Ray-casting point-in-polygon test, polygon is an array of [lat, lng] vertices
+  function isPointInPolygon(point, polygon) {
+    if (!point || !Array.isArray(polygon) || polygon.length < 3) {
+      return false;
+    }
+
+    const [lat, lng] = point;
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [latI, lngI] = polygon[i];
+      const [latJ, lngJ] = polygon[j];
+
+      const crosses = (lngI > lng) !== (lngJ > lng) &&
+        lat < ((latJ - latI) * (lng - lngI)) / (lngJ - lngI) + latI;
+      if (crosses) inside = !inside;
+    }
+
+    return inside;
+  }
+
+  // Shortest distance in meters from a point to the edges of a polygon
+  function getDistanceToPolygon(point, polygon) {
+    if (!point || !Array.isArray(polygon) || polygon.length < 2) {
+      return Infinity;
+    }
+
+    // Project onto a local flat plane around the point - accurate enough at geofence scale
+    const toRad = Math.PI / 180;
+    const cosLat = Math.cos(point[0] * toRad);
+    const project = ([lat, lng]) => [
+      (lng - point[1]) * toRad * EARTH_RADIUS * cosLat,
+      (lat - point[0]) * toRad * EARTH_RADIUS
+    ];
+
+    let minDistance = Infinity;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const [x1, y1] = project(polygon[j]);
+      const [x2, y2] = project(polygon[i]);
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const lengthSq = dx * dx + dy * dy;
+
+      // Closest point on the segment to the origin (our point)
+      const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / lengthSq)) : 0;
+      const distance = Math.hypot(x1 + t * dx, y1 + t * dy);
+
+      if (distance < minDistance) minDistance = distance;
+    }
+
+    return minDistance;
+  }
+
+  // Check if a point is inside a polygon, or within `buffer` meters of its edge
+  function isWithinPolygon(point, polygon, buffer = 0) {
+    if (isPointInPolygon(point, polygon)) return true;
+    return buffer > 0 && getDistanceToPolygon(point, polygon) <= buffer;
+  }
+
+  // Average of the polygon vertices, used as the marker position for polygon alarms
+  function getPolygonCenter(polygon) {
+    if (!Array.isArray(polygon) || polygon.length === 0) return null;
+
+    const sum = polygon.reduce(
+      (acc, [lat, lng]) => [acc[0] + lat, acc[1] + lng],
+      [0, 0]
+    );
+    return [sum[0] / polygon.length, sum[1] / polygon.length];
+  }
+
+  // --- Schedules ---
+  // alarm.schedule = {
+  //   days: [0-6] (0 = Sunday, empty = every day),
+  //   windows: [{ start: 'HH:MM', end: 'HH:MM' }] (empty = all day, end < start spans midnight,
+  //     start == end is invalid: the editor and imports reject it, see isValidSchedule),
+  //   timeZone: IANA name (null = device time zone),
+  //   startDate / endDate: 'YYYY-MM-DD' inclusive, optional
+  // }
+  // Alarms without a schedule are always armed.
+
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const zonedFormatters = new Map();
+
+  function getZonedFormatter(timeZone) {
+    const key = timeZone || '';
+    if (!zonedFormatters.has(key)) {
+      const options = {
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short'
+      };
+      let formatter;
+      try {
+        formatter = new Intl.DateTimeFormat('en-US', { ...options, timeZone: timeZone || undefined });
+      } catch (error) {
+        // Unknown time zone: fall back to the device's
+        formatter = new Intl.DateTimeFormat('en-US', options);
+      }
+      zonedFormatters.set(key, formatter);
+    }
+    return zonedFormatters.get(key);
+  }
+
+  // Wall-clock date and time of an instant in a time zone
+  function getZonedParts(time, timeZone) {
+    const parts = {};
+    getZonedFormatter(timeZone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    return {
+      year: parseInt(parts.year),
+      month: parseInt(parts.month),
+      day: parseInt(parts.day),
+      minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+      weekday: WEEKDAYS.indexOf(parts.weekday),
+      date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+  }
+
+  const parseTime = (value) => {
+    const [hours, minutes] = String(value || '0:0').split(':').map(Number);
+    return (hours || 0) * 60 + (minutes || 0);
+  };
+
+  const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+  // A window needs valid start and end times that differ, an empty window would be ambiguous
+  function isValidScheduleWindow(range) {
+    return !!range && TIME_PATTERN.test(range.start) && TIME_PATTERN.test(range.end) &&
+      parseTime(range.start) !== parseTime(range.end);
+  }
+
+  // Checks a schedule from outside the editor, e.g. an imported backup
+  function isValidSchedule(schedule) {
+    if (!schedule || typeof schedule !== 'object') return false;
+    if (schedule.days !== undefined && !(Array.isArray(schedule.days) &&
+        schedule.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))) {
+      return false;
+    }
+    return schedule.windows === undefined ||
+      (Array.isArray(schedule.windows) && schedule.windows.every(isValidScheduleWindow));
+  }
+
+  // Whether the schedule allows the alarm to fire at `now`
+  function isScheduleActive(schedule, now = Date.now()) {
+    if (!schedule) return true;
+
+    const local = getZonedParts(now, schedule.timeZone);
+    if (schedule.startDate && local.date < schedule.startDate) return false;
+    if (schedule.endDate && local.date > schedule.endDate) return false;
+
+    const days = Array.isArray(schedule.days) && schedule.days.length > 0
+      ? schedule.days
+      : [0, 1, 2, 3, 4, 5, 6];
+    const windows = Array.isArray(schedule.windows) ? schedule.windows : [];
+    const previousDay = (local.weekday + 6) % 7;
+
+    if (windows.length === 0) return days.includes(local.weekday);
+
+    return windows.some(({ start, end }) => {
+      const startMinutes = parseTime(start);
+      const endMinutes = parseTime(end);
+
+      if (startMinutes < endMinutes) {
+        return days.includes(local.weekday) &&
+          local.minutes >= startMinutes && local.minutes < endMinutes;
+      }
+      // Overnight window: belongs to the day it starts on
+      return (days.includes(local.weekday) && local.minutes >= startMinutes) ||
+        (days.includes(previousDay) && local.minutes < endMinutes);
+    });
+  }
+
+  // Next instant (ms) at which the alarm becomes armed: `now` if it already is,
+  // null if the schedule never arms it again
+  function getNextActiveTime(schedule, now = Date.now()) {
+    if (isScheduleActive(schedule, now)) return now;
+
+    const windows = Array.isArray(schedule.windows) && schedule.windows.length > 0
+      ? schedule.windows
+      : [{ start: '00:00' }];
+    const local = getZonedParts(now, schedule.timeZone);
+    // Difference between the zone's wall clock and UTC at `now`
+    const offset = Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes) -
+      Math.floor(now / 60000) * 60000;
+
+    // Start counting from the schedule's first day when it lies in the future
+    let firstDay = 0;
+    if (schedule.startDate && schedule.startDate > local.date) {
+      const [y, m, d] = schedule.startDate.split('-').map(Number);
+      firstDay = Math.round((Date.UTC(y, m - 1, d) - Date.UTC(local.year, local.month - 1, local.day)) / 86400000);
+    }
+
+    let next = null;
+    for (let dayOffset = firstDay; dayOffset <= firstDay + 7; dayOffset++) {
+      windows.forEach(({ start }) => {
+        const wallClock = Date.UTC(local.year, local.month - 1, local.day + dayOffset, 0, parseTime(start));
+        let candidate = wallClock - offset;
+        // Correct for a daylight saving change between now and the candidate
+        const candidateLocal = getZonedParts(candidate, schedule.timeZone);
+        const drift = Date.UTC(candidateLocal.year, candidateLocal.month - 1, candidateLocal.day, 0, candidateLocal.minutes) - wallClock;
+        candidate -= drift;
+
+        if (candidate > now && (next === null || candidate < next) && isScheduleActive(schedule, candidate)) {
+          next = candidate;
+        }
+      });
+      if (next !== null) break;
+    }
+
+    return next;
+  }
+
+  // Extra meters added around every zone to absorb GPS error
+  function getAccuracyBuffer(accuracy) {
+    if (!accuracy || accuracy <= 0) return DEFAULT_ACCURACY_BUFFER;
+    return Math.min(accuracy * ACCURACY_BUFFER_RATIO, MAX_ACCURACY_BUFFER);
+  }
+
+  // Initial bearing in degrees (0 = north) from one [lat, lng] point to another
+  function getBearing(from, to) {
+    const toRad = Math.PI / 180;
+    const φ1 = from[0] * toRad;
+    const φ2 = to[0] * toRad;
+    const Δλ = (to[1] - from[1]) * toRad;
+
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+  }
+
+  // Smallest angle in degrees between two bearings
+  function getBearingDifference(a, b) {
+    const difference = Math.abs(a - b) % 360;
+    return difference > 180 ? 360 - difference : difference;
+  }
+
+  // Seconds to cover `distance` at `speed`, or null when not moving toward the target.
+  // heading/targetBearing are optional; when both are known, heading away (> 90°) means no ETA.
+  function estimateEta(distance, speed, heading = null, targetBearing = null) {
+    if (!Number.isFinite(speed) || speed < MIN_MOVING_SPEED) return null;
+    if (Number.isFinite(heading) && Number.isFinite(targetBearing) &&
+        getBearingDifference(heading, targetBearing) > 90) {
+      return null;
+    }
+    return distance / speed;
+  }
+
+  // Speed (m/s) and heading (degrees) from recent `locations` records
+  // ({ timestamp, latitude, longitude, speed, heading }).
+  // Speed is the average reported speed, or distance over time when none was reported;
+  // heading is the direction of travel over the window, which is steadier than a single fix.
+  function getMotionFromLocations(locations, now = Date.now()) {
+    const recent = (locations || [])
+      .filter((l) => l && now - l.timestamp <= MOTION_WINDOW &&
+        Number.isFinite(l.latitude) && Number.isFinite(l.longitude))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (recent.length === 0) return { speed: null, heading: null };
+
+    const first = recent[0];
+    const last = recent[recent.length - 1];
+    const moved = getDistance([first.latitude, first.longitude], [last.latitude, last.longitude]);
+    const elapsed = (last.timestamp - first.timestamp) / 1000;
+
+    const speeds = recent.map((l) => l.speed).filter(Number.isFinite);
+    let speed = null;
+    if (speeds.length > 0) {
+      speed = speeds.reduce((sum, s) => sum + s, 0) / speeds.length;
+    } else if (elapsed > 0) {
+      speed = moved / elapsed;
+    }
+
+    let heading = null;
+    if (moved >= MIN_TRACK_DISTANCE) {
+      heading = getBearing([first.latitude, first.longitude], [last.latitude, last.longitude]);
+    } else if (Number.isFinite(last.heading)) {
+      heading = last.heading;
+    }
+
+    return { speed, heading };
+  }
+
+  // Seconds until the zone edge is reached at the current motion, 0 when already inside,
+  // null when not moving toward it
+  function getEtaToAlarm(position, alarm, motion = {}) {
+    const outside = getDistanceOutside(position, alarm);
+    if (outside <= 0) return 0;
+    return estimateEta(outside, motion.speed, motion.heading, getBearing(position, alarm.location));
+  }
+
+  // ETA alarms count as inside when in the zone or predicted to reach it within etaMinutes
+  function isEtaConditionMet(position, alarm, buffer, wasInside, motion = {}) {
+    if (isInsideWithHysteresis(position, alarm, buffer, wasInside)) return true;
+    const eta = getEtaToAlarm(position, alarm, motion);
+    return eta !== null && eta <= (alarm.etaMinutes || DEFAULT_ETA_MINUTES) * 60;
+  }
+
+  // Where the position lies along a route of stops.
+  // Projects onto the closest segment of the stop-to-stop polyline.
+  function getRouteProgress(position, stops, stopRadius = 0) {
+    const points = stops.map((stop) => stop.location);
+
+    // Along-route distance of every stop
+    const stopDistances = [0];
+    for (let i = 1; i < points.length; i++) {
+      stopDistances.push(stopDistances[i - 1] + getDistance(points[i - 1], points[i]));
+    }
+    const totalDistance = stopDistances[stopDistances.length - 1];
+
+    const toRad = Math.PI / 180;
+    const cosLat = Math.cos(position[0] * toRad);
+    const project = ([lat, lng]) => [
+      (lng - position[1]) * toRad * EARTH_RADIUS * cosLat,
+      (lat - position[0]) * toRad * EARTH_RADIUS
+    ];
+
+    let best = { offRoute: Infinity, along: 0, segment: 0 };
+    for (let i = 0; i < points.length - 1; i++) {
+      const [x1, y1] = project(points[i]);
+      const [x2, y2] = project(points[i + 1]);
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const lengthSq = dx * dx + dy * dy;
+      const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / lengthSq)) : 0;
+      const offRoute = Math.hypot(x1 + t * dx, y1 + t * dy);
+
+      if (offRoute < best.offRoute) {
+        best = {
+          offRoute,
+          along: stopDistances[i] + t * (stopDistances[i + 1] - stopDistances[i]),
+          segment: i
+        };
+      }
+    }
+
+    const reachedStops = stopDistances.filter((d) => d <= best.along + stopRadius).length;
+
+    return {
+      totalDistance,
+      alongDistance: best.along,
+      remainingDistance: Math.max(totalDistance - best.along, 0),
+      offRouteDistance: best.offRoute,
+      reachedStops,
+      stopsRemaining: points.length - reachedStops,
+      // Direction of travel on the current segment
+      segmentBearing: getBearing(points[best.segment], points[best.segment + 1])
+    };
+  }
+
+  function getRouteTrigger(alarm) {
+    return { ...DEFAULT_ROUTE_TRIGGER, ...(alarm.routeTrigger || {}) };
+  }
+
+  // Whether a route alarm's condition holds: close enough to the last stop by
+  // stops or by ETA, while on the route
+  function isRouteConditionMet(position, alarm, buffer, motion = {}) {
+    const progress = getRouteProgress(position, alarm.stops, alarm.radius);
+    if (progress.offRouteDistance > MAX_OFF_ROUTE + buffer) return false;
+    if (progress.remainingDistance <= alarm.radius + buffer) return true;
+
+    const trigger = getRouteTrigger(alarm);
+    if (trigger.mode === 'eta') {
+      const eta = estimateEta(progress.remainingDistance, motion.speed, motion.heading, progress.segmentBearing);
+      return eta !== null && eta <= trigger.minutesBefore * 60;
+    }
+    return progress.stopsRemaining <= trigger.stopsBefore;
+  }
+
+  // Key used to track an alarm between updates
+  function getAlarmKey(alarm) {
+    return alarm.id;
+  }
+
+  // Distance to the alarm: center for circles, nearest edge for polygons (0 when inside)
+  function getAlarmDistance(position, alarm) {
+    if (alarm.shape === 'route') {
+      const progress = getRouteProgress(position, alarm.stops, alarm.radius);
+      return progress.remainingDistance + progress.offRouteDistance;
+    }
+    if (alarm.shape === 'polygon') {
+      return isPointInPolygon(position, alarm.polygon)
+        ? 0
+        : getDistanceToPolygon(position, alarm.polygon);
+    }
+    return getDistance(position, alarm.location);
+  }
+
+  // Whether the alarm has enough geometry to be evaluated
+  function hasZone(alarm) {
+    if (alarm.shape === 'route') {
+      return Array.isArray(alarm.stops) && alarm.stops.length >= 2;
+    }
+    if (alarm.shape === 'polygon') {
+      return Array.isArray(alarm.polygon) && alarm.polygon.length >= 3;
+    }
+    return Array.isArray(alarm.location);
+  }
+
+  // Meters between the position and the zone edge, negative when inside
+  function getDistanceOutside(position, alarm) {
+    if (alarm.shape === 'route') {
+      // Measured from the last stop, so leaving the destination re-arms the route
+      return getDistance(position, alarm.stops[alarm.stops.length - 1].location) - alarm.radius;
+    }
+    if (alarm.shape === 'polygon') {
+      const edgeDistance = getDistanceToPolygon(position, alarm.polygon);
+      return isPointInPolygon(position, alarm.polygon) ? -edgeDistance : edgeDistance;
+    }
+    return getDistance(position, alarm.location) - alarm.radius;
+  }
+
+  function getThresholds(alarm) {
+    return { ...DEFAULT_THRESHOLDS, ...(alarm.thresholds || {}) };
+  }
+
+  // Raw inside/outside for one fix: the exit threshold applies while inside, the enter one while outside
+  function isInsideWithHysteresis(position, alarm, buffer, wasInside) {
+    const { enterMargin, exitMargin } = getThresholds(alarm);
+    const margin = wasInside ? Math.max(exitMargin, enterMargin) : enterMargin;
+    return getDistanceOutside(position, alarm) <= buffer + margin;
+  }
+
+  // Only switch sides after requiredFixes consecutive fixes agree.
+  // `inside` stays null until the very first side is confirmed.
+  function confirmSide(previousState, rawInside, requiredFixes) {
+    const current = previousState ? previousState.inside : null;
+    if (current === rawInside) return { inside: current, pending: null, streak: 0 };
+
+    // Count only an unbroken run of fixes on the same new side
+    const continuing = previousState && previousState.pending === rawInside;
+    const streak = (continuing ? previousState.streak : 0) + 1;
+    if (streak >= requiredFixes) return { inside: rawInside, pending: null, streak: 0 };
+    return { inside: current, pending: rawInside, streak };
+  }
+
+  function getRearmPolicy(alarm) {
+    return { ...DEFAULT_REARM, ...(alarm.rearm || {}) };
+  }
+
+  // Route and ETA alarms fire before the zone (the last stop for routes) is reached
+  function firesBeforeArrival(alarm) {
+    return alarm.shape === 'route' || alarm.triggerMode === 'eta';
+  }
+
+  // Whether a fired alarm should be armed again at this position and time.
+  // Alarms that fire before arrival only 'leave' once the zone was actually
+  // reached (state.arrived) and then left. A snoozed alarm stays fired until its snooze is over.
+  function shouldRearm(alarm, position, now = Date.now(), state = null) {
+    if (!alarm.triggered || alarm.type === 'oneTime') return false;
+    if (alarm.snoozedUntil && now < alarm.snoozedUntil) return false;
+
+    const policy = getRearmPolicy(alarm);
+
+    if (policy.mode === 'manual') return false;
+
+    if (policy.mode === 'timer') {
+      return !!alarm.triggeredAt && now - alarm.triggeredAt >= policy.minutes * 60000;
+    }
+
+    if (!position) return false;
+    if (firesBeforeArrival(alarm) && !(state && state.arrived)) return false;
+    const outside = getDistanceOutside(position, alarm);
+    // Exit alarms fired on the way out, so they re-arm on the way back in
+    if (alarm.triggerMode === 'exit' && alarm.shape !== 'route') return outside < 0;
+    return outside > policy.distance;
+  }
+
+  // What happens to a snoozed alarm now: 'refire' when the snooze is over and the trigger
+  // condition still holds, 'expire' when it is over and no longer holds, null otherwise
+  // (not snoozed, still snoozing, or its side isn't confirmed yet).
+  function getSnoozeOutcome(alarm, inside, now = Date.now()) {
+    if (!alarm.triggered || !alarm.snoozedUntil || now < alarm.snoozedUntil) return null;
+    if (inside === null) return null;
+
+    // Exit alarms fire while outside, every other mode while inside (or while the ETA holds)
+    const conditionHolds = alarm.triggerMode === 'exit' && alarm.shape !== 'route' ? !inside : inside;
+    return conditionHolds ? 'refire' : 'expire';
+  }
+
+  // Whether the position counts as inside the alarm zone once the buffer is applied
+  function isInsideAlarm(position, alarm, buffer) {
+    if (alarm.shape === 'polygon') {
+      return isWithinPolygon(position, alarm.polygon, buffer);
+    }
+    return getDistance(position, alarm.location) <= alarm.radius + buffer;
+  }
+
+  // Advance an alarm's inside/outside state with a new fix and decide whether it fires.
+  // Modes: 'enter' fires when crossing into the zone, 'exit' when leaving it,
+  // 'dwell' after staying inside for dwellMinutes, 'eta' like enter with the ETA counted as inside.
+  function updateZoneState(alarm, previousState, isInside, now = Date.now()) {
+    const mode = alarm.triggerMode || 'enter';
+    const wasInside = previousState ? previousState.inside : null;
+
+    const state = {
+      inside: isInside,
+      enteredAt: isInside ? (wasInside ? previousState.enteredAt : now) : null,
+      dwellFired: isInside && wasInside ? !!previousState.dwellFired : false
+    };
+
+    let shouldTrigger = false;
+
+    if (mode === 'exit') {
+      shouldTrigger = !isInside && wasInside === true;
+    } else if (mode === 'dwell') {
+      const dwellMs = (alarm.dwellMinutes || DEFAULT_DWELL_MINUTES) * 60000;
+      if (isInside && !state.dwellFired && now - state.enteredAt >= dwellMs) {
+        shouldTrigger = true;
+        state.dwellFired = true;
+      }
+    } else {
+      shouldTrigger = isInside && wasInside !== true;
+    }
+
+    return { state, shouldTrigger };
+  }
+
+  // Evaluate every alarm against one position fix.
+  // Returns a decision per evaluable alarm plus the updated zone states (the input map is not mutated).
+  // motion = { speed (m/s), heading (degrees) } of the device, used by ETA and route ETA triggers
+  function evaluateAlarms({ position, accuracy, alarms, states, motion = {}, now = Date.now() }) {
+    const nextStates = new Map(states || []);
+    const decisions = [];
+
+    if (!position || !Array.isArray(alarms)) {
+      return { decisions, states: nextStates };
+    }
+
+    const buffer = getAccuracyBuffer(accuracy);
+
+    alarms.forEach((alarm, index) => {
+      if (!alarm) return;
+
+      if (!hasZone(alarm)) return;
+
+      const key = getAlarmKey(alarm);
+
+      // A disabled alarm is skipped entirely and starts fresh when enabled again
+      if (alarm.enabled === false) {
+        nextStates.delete(key);
+        return;
+      }
+
+      // Outside its schedule the alarm is disarmed: no decision and its zone state
+      // starts fresh when the window opens
+      if (!isScheduleActive(alarm.schedule, now)) {
+        nextStates.delete(key);
+        return;
+      }
+
+      const previousState = nextStates.get(key);
+      const wasInside = previousState ? previousState.inside : false;
+      // Route alarms are "inside" once their stops/ETA condition holds
+      let rawInside;
+      if (alarm.shape === 'route') {
+        rawInside = isRouteConditionMet(position, alarm, buffer, motion);
+      } else if (alarm.triggerMode === 'eta') {
+        rawInside = isEtaConditionMet(position, alarm, buffer, wasInside, motion);
+      } else {
+        rawInside = isInsideWithHysteresis(position, alarm, buffer, wasInside);
+      }
+      const { inside, pending, streak } = confirmSide(
+        previousState, rawInside, getThresholds(alarm).requiredFixes
+      );
+
+      // Always track the zone state so exit and dwell see every transition
+      let state = { inside: null, enteredAt: null, dwellFired: false };
+      let shouldTrigger = false;
+      if (inside !== null) {
+        ({ state, shouldTrigger } = updateZoneState(alarm, previousState, inside, now));
+      }
+      // Remember that a fired route or ETA alarm's zone was reached, for its re-arm
+      const arrived = firesBeforeArrival(alarm) && !!alarm.triggered &&
+        (!!(previousState && previousState.arrived) || getDistanceOutside(position, alarm) <= buffer);
+      const nextState = { ...state, pending, streak, arrived };
+      nextStates.set(key, nextState);
+      const snooze = getSnoozeOutcome(alarm, inside, now);
+
+      decisions.push({
+        alarm,
+        index,
+        key,
+        inside: inside === true,
+        distance: getAlarmDistance(position, alarm),
+        buffer,
+        shouldTrigger: shouldTrigger && !alarm.triggered,
+        // A snooze that fires again takes precedence over re-arming
+        shouldRearm: snooze !== 'refire' && shouldRearm(alarm, position, now, nextState),
+        snooze
+      });
+    });
+
+    return { decisions, states: nextStates };
+  }
+
+  return {
+    DEFAULT_DWELL_MINUTES,
+    DEFAULT_REARM,
+    DEFAULT_THRESHOLDS,
+    DEFAULT_ROUTE_TRIGGER,
+    DEFAULT_ETA_MINUTES,
+    DEFAULT_SNOOZE_MINUTES,
+    getDistance,
+    isPointInPolygon,
+    getDistanceToPolygon,
+    isWithinPolygon,
+    getPolygonCenter,
+    getAccuracyBuffer,
+    getAlarmKey,
+    getBearing,
+    estimateEta,
+    getMotionFromLocations,
+    getEtaToAlarm,
+    isEtaConditionMet,
+    getRouteProgress,
+    getRouteTrigger,
+    isRouteConditionMet,
+    hasZone,
+    getAlarmDistance,
+    isInsideAlarm,
+    getDistanceOutside,
+    getThresholds,
+    isInsideWithHysteresis,
+    confirmSide,
+    getRearmPolicy,
+    shouldRearm,
+    getSnoozeOutcome,
+    updateZoneState,
+    isValidScheduleWindow,
+    isValidSchedule,
+    isScheduleActive,
+    getNextActiveTime,
+    evaluateAlarms
+  };
+});
@@ -0,0 +1,295 @@
+// GeoAlarmDB schema shared by the app and the service worker.
+// The page imports it as a module, the service worker loads it with importScripts('/schema.js').
+// Every schema change is a new entry in MIGRATIONS that moves existing data forward - never clear stores here.
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GeoAlarmSchema = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const DB_NAME = 'GeoAlarmDB';
+
+  // Location history retention, stored in the settings store under LOCATION_RETENTION_KEY.
+  // enabled: false stops recording; maxRecords / maxAgeDays of null mean no limit.
+  const LOCATION_RETENTION_KEY = 'locationRetention';
+  const DEFAULT_LOCATION_RETENTION = { enabled: true, maxRecords: 1000, maxAgeDays: 7 };
+  const DAY_MS = 86400000;
+
+  // Alarm groups, stored in the settings store under ALARM_GROUPS_KEY as [{ id, name, color }].
+  // Alarms point at their group with alarm.groupId (null when ungrouped).
+  const ALARM_GROUPS_KEY = 'alarmGroups';
+
+  // Alarm event log: one record per trigger, dismiss, snooze, reset, expire or auto-delete.
+  // context is 'page' or 'service-worker', whichever one acted.
+  const EVENT_TYPES = ['trigger', 'dismiss', 'snooze', 'reset', 'expire', 'delete'];
+  const MAX_EVENTS = 5000;
+
+  // Generate a stable unique id for alarms (randomUUID needs a secure context)
+  function generateId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+      const r = (Math.random() * 16) | 0;
+      return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+    });
+  }
+
+  // Wrap an IndexedDB request in a promise
+  function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function ensureIndex(store, name, keyPath, options = { unique: false }) {
+    if (!store.indexNames.contains(name)) {
+      store.createIndex(name, keyPath, options);
+    }
+  }
+
+  // Ordered list of migrations, each one runs when upgrading past its version
+  const MIGRATIONS = [
+    {
+      version: 2,
+      description: 'Initial stores',
+      migrate(db) {
+        if (!db.objectStoreNames.contains('locations')) {
+          const locationsStore = db.createObjectStore('locations', { keyPath: 'timestamp' });
+          locationsStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains('alarms')) {
+          db.createObjectStore('alarms', { keyPath: 'createdAt' });
+        }
+
+        if (!db.objectStoreNames.contains('settings')) {
+          db.createObjectStore('settings', { keyPath: 'key' });
+        }
+
+        if (!db.objectStoreNames.contains('syncQueue')) {
+          const syncStore = db.createObjectStore('syncQueue', { keyPath: 'id', autoIncrement: true });
+          syncStore.createIndex('timestamp', 'timestamp', { unique: false });
+        }
+      }
+    },
+    {
+      version: 3,
+      description: 'Key alarms by a stable id instead of createdAt',
+      async migrate(db, transaction) {
+        const oldStore = transaction.objectStore('alarms');
+        if (oldStore.keyPath === 'id') return;
+
+        const oldAlarms = await requestToPromise(oldStore.getAll());
+        db.deleteObjectStore('alarms');
+
+        const alarmsStore = db.createObjectStore('alarms', { keyPath: 'id' });
+        oldAlarms.forEach(alarm => alarmsStore.add({ ...alarm, id: alarm.id || generateId() }));
+      }
+    },
+    {
+      version: 4,
+      description: 'Same indexes in both contexts',
+      migrate(db, transaction) {
+        // The page and the service worker used to create different indexes
+        const alarmsStore = transaction.objectStore('alarms');
+        ensureIndex(alarmsStore, 'name', 'name');
+        ensureIndex(alarmsStore, 'triggered', 'triggered');
+        ensureIndex(alarmsStore, 'createdAt', 'createdAt');
+
+        const syncStore = transaction.objectStore('syncQueue');
+        ensureIndex(syncStore, 'processed', 'processed');
+      }
+    },
+    {
+      version: 5,
+      description: 'Alarm event log',
+      async migrate(db, transaction) {
+        if (db.objectStoreNames.contains('events')) return;
+
+        const eventsStore = db.createObjectStore('events', { keyPath: 'id', autoIncrement: true });
+        eventsStore.createIndex('timestamp', 'timestamp', { unique: false });
+        eventsStore.createIndex('alarmId', 'alarmId', { unique: false });
+        eventsStore.createIndex('type', 'type', { unique: false });
+
+        // Keep the triggers the service worker queued before the log existed
+        const queued = await requestToPromise(transaction.objectStore('syncQueue').getAll());
+        queued
+          .filter(item => item.type === 'alarm_triggered' && item.data)
+          .forEach(item => eventsStore.add({
+            type: 'trigger',
+            alarmId: item.data.alarmId,
+            alarmName: item.data.alarmName,
+            timestamp: item.data.timestamp || item.timestamp,
+            position: item.data.location || null,
+            accuracy: null,
+            distance: null,
+            context: 'service-worker'
+          }));
+      }
+    },
+    {
+      version: 6,
+      description: 'Uploaded alarm sounds',
+      migrate(db) {
+        // { id, name, type, blob, size, createdAt }, referenced by alarm.alert.soundId
+        if (!db.objectStoreNames.contains('sounds')) {
+          db.createObjectStore('sounds', { keyPath: 'id' });
+        }
+      }
+    }
+  ];
+
+  const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+  // Read the retention setting, filling in defaults
+  async function getLocationRetention(db) {
+    const store = db.transaction(['settings'], 'readonly').objectStore('settings');
+    const record = await requestToPromise(store.get(LOCATION_RETENTION_KEY));
+    return { ...DEFAULT_LOCATION_RETENTION, ...((record && record.value) || {}) };
+  }
+
+  // Delete the oldest records of a store with a timestamp index: at least `excess` of them,
+  // plus any older than `cutoff`. Walks the index with a cursor and stops at the first
+  // record to keep, so nothing else is loaded. Resolves to the number deleted.
+  function deleteOldest(store, excess, cutoff = null) {
+    if (excess <= 0 && cutoff === null) return Promise.resolve(0);
+
+    return new Promise((resolve, reject) => {
+      let deleted = 0;
+      const request = store.index('timestamp').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        const expired = cursor && cutoff !== null && cursor.key < cutoff;
+        if (!cursor || (!expired && deleted >= excess)) {
+          resolve(deleted);
+          return;
+        }
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Delete location records beyond the retention limits, oldest first
+  async function pruneLocations(store, retention, now = Date.now()) {
+    const { maxRecords, maxAgeDays } = { ...DEFAULT_LOCATION_RETENTION, ...retention };
+    const cutoff = maxAgeDays ? now - maxAgeDays * DAY_MS : null;
+    const excess = maxRecords ? (await requestToPromise(store.count())) - maxRecords : 0;
+    return deleteOldest(store, excess, cutoff);
+  }
+
+  // Append an event to the log, dropping the oldest ones past MAX_EVENTS
+  async function recordEvent(db, event) {
+    const store = db.transaction(['events'], 'readwrite').objectStore('events');
+    const record = {
+      position: null,
+      accuracy: null,
+      distance: null,
+      ...event,
+      timestamp: event.timestamp || Date.now()
+    };
+    record.id = await requestToPromise(store.add(record));
+    await deleteOldest(store, (await requestToPromise(store.count())) - MAX_EVENTS);
+    return record;
+  }
+
+  // The newest `limit` location records, newest first
+  function getLatestLocations(store, limit) {
+    return new Promise((resolve, reject) => {
+      const records = [];
+      const request = store.index('timestamp').openCursor(null, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor && records.length < limit) {
+          records.push(cursor.value);
+          cursor.continue();
+        } else {
+          resolve(records);
+        }
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Run every migration newer than oldVersion, in order, inside the upgrade transaction
+  async function runMigrations(db, transaction, oldVersion, newVersion = DB_VERSION) {
+    for (const migration of MIGRATIONS) {
+      if (migration.version > oldVersion && migration.version <= newVersion) {
+        console.log(`Migrating ${DB_NAME} to v${migration.version}: ${migration.description}`);
+        await migration.migrate(db, transaction);
+      }
+    }
+  }
+
+  // Open the database, upgrading it through MIGRATIONS when needed.
+  // The connection closes itself when another tab or the service worker opens a newer
+  // version, so that upgrade is never held up; onClose lets the caller drop its cached
+  // connection and reopen. onBlocked is called while an older connection that doesn't
+  // close (an outdated tab) holds up this upgrade.
+  function openDatabase(factory = indexedDB, version = DB_VERSION, { onClose, onBlocked } = {}) {
+    return new Promise((resolve, reject) => {
+      const request = factory.open(DB_NAME, version);
+      let migrationError = null;
+
+      request.onerror = () => reject(migrationError || request.error);
+      request.onsuccess = () => {
+        const db = request.result;
+        const handleClose = () => {
+          if (onClose) onClose(db);
+        };
+        db.onversionchange = () => {
+          db.close();
+          handleClose();
+        };
+        // Closed by the browser, e.g. when the storage is cleared
+        db.onclose = handleClose;
+        resolve(db);
+      };
+      request.onblocked = () => {
+        console.warn(`Opening ${DB_NAME} v${version} is waiting for other connections to close`);
+        if (onBlocked) onBlocked();
+      };
+
+      request.onupgradeneeded = (event) => {
+        const transaction = event.target.transaction;
+
+        runMigrations(request.result, transaction, event.oldVersion, event.newVersion)
+          .catch((error) => {
+            // Abort so the database stays at its old version with the data untouched
+            console.error('Database migration failed:', error);
+            migrationError = error;
+            try {
+              transaction.abort();
+            } catch (abortError) {
+              // Already aborted by the failing request
+            }
+          });
+      };
+    });
+  }
+
+  return {
+    DB_NAME,
+    DB_VERSION,
+    MIGRATIONS,
+    LOCATION_RETENTION_KEY,
+    DEFAULT_LOCATION_RETENTION,
+    ALARM_GROUPS_KEY,
+    EVENT_TYPES,
+    MAX_EVENTS,
+    generateId,
+    requestToPromise,
+    runMigrations,
+    openDatabase,
+    getLocationRetention,
+    pruneLocations,
+    recordEvent,
+    getLatestLocations
+  };
+});
@@ -2,11 +2,31 @@
 // Place this file as 'public/sw.js' in your project
 
 const CACHE_NAME = 'geoalarm-v2';
-const DB_NAME = 'GeoAlarmDB';
-const DB_VERSION = 2;
 const SW_VERSION = '2.1.0'; // Increment this when you want to force refresh
 const VERSION_KEY = 'sw_version';
 
+// Shared geofence evaluation engine (also used by the app)
+importScripts('/geofence.js');
+const {
+  evaluateAlarms,
+  getMotionFromLocations,
+  DEFAULT_DWELL_MINUTES,
+  DEFAULT_ETA_MINUTES,
+  DEFAULT_SNOOZE_MINUTES
+} = self.GeoFence;
+
+// Shared database schema and migrations (also used by the app)
+importScripts('/schema.js');
+const {
+  DB_VERSION,
+  openDatabase,
+  requestToPromise,
+  getLocationRetention,
+  pruneLocations,
+  recordEvent,
+  getLatestLocations
+} = self.GeoAlarmSchema;
+
 const urlsToCache = [
   '/',
   '/static/js/bundle.js',
@@ -20,6 +40,9 @@ let alarms = [];
 let lastLocationUpdate = 0;
 let isBackgroundSyncActive = false;
 
+// Inside/outside state per alarm between location updates (for exit and dwell modes)
+let zoneStates = new Map();
+
 // Install service worker
 self.addEventListener('install', event => {
   console.log('Service Worker installing...');
@@ -87,29 +110,21 @@ self.addEventListener('sync', event => {
   }
 });
 
-// Version checking to force refresh stale data
+// Record the running service worker version.
+// Data is never cleared here - schema changes are handled by the shared migrations.
 async function checkVersion() {
   try {
     const db = await openLocationDB();
-    const transaction = db.transaction(['settings'], 'readwrite');
-    const store = transaction.objectStore('settings');
+    const store = db.transaction(['settings'], 'readwrite').objectStore('settings');
     
-    const versionRecord = await store.get(VERSION_KEY);
+    const versionRecord = await requestToPromise(store.get(VERSION_KEY));
     
     if (!versionRecord || versionRecord.value !== SW_VERSION) {
-      console.log('Service worker version changed, clearing stale data');
-      
-      // Clear all stores except settings
-      const clearTransaction = db.transaction(['alarms', 'locations', 'syncQueue'], 'readwrite');
-      await clearTransaction.objectStore('alarms').clear();
-      await clearTransaction.objectStore('locations').clear();
-      await clearTransaction.objectStore('syncQueue').clear();
+      console.log(`Service worker updated to ${SW_VERSION}`);
       
-      // Update version
-      await store.put({ key: VERSION_KEY, value: SW_VERSION });
+      await requestToPromise(store.put({ key: VERSION_KEY, value: SW_VERSION }));
       
-      // Reset local state
-      alarms = [];
+      // Reset in-memory state, stored alarms are reloaded from IndexedDB
       currentLocation = null;
       lastLocationUpdate = 0;
     }
@@ -264,6 +279,9 @@ function getCurrentPosition() {
 async function storeLocationUpdate(position) {
   try {
     const db = await openLocationDB();
+    const retention = await getLocationRetention(db);
+    if (!retention.enabled) return;
+    
     const transaction = db.transaction(['locations'], 'readwrite');
     const store = transaction.objectStore('locations');
     
@@ -279,123 +297,83 @@ async function storeLocationUpdate(position) {
     await store.add(locationData);
     console.log('Location stored in background:', locationData);
     
-    // Clean up old location records (keep only last 100)
-    await cleanupOldLocations(store);
+    // Drop records past the user's retention limits
+    await pruneLocations(store, retention);
     
   } catch (error) {
     console.error('Failed to store location:', error);
   }
 }
 
-// Clean up old location records
-async function cleanupOldLocations(store) {
-  try {
-    const allRecords = await getAllRecords(store);
-    if (allRecords.length > 100) {
-      // Sort by timestamp and remove oldest records
-      allRecords.sort((a, b) => a.timestamp - b.timestamp);
-      const recordsToDelete = allRecords.slice(0, allRecords.length - 100);
-      
-      for (const record of recordsToDelete) {
-        await store.delete(record.timestamp);
-      }
-    }
-  } catch (error) {
-    console.error('Failed to cleanup old locations:', error);
-  }
-}
-
-// Clean up location history
+// Apply the retention setting to the stored location history
 async function cleanupLocationHistory() {
   try {
     const db = await openLocationDB();
-    const transaction = db.transaction(['locations'], 'readwrite');
-    const store = transaction.objectStore('locations');
-    
-    const allRecords = await getAllRecords(store);
-    const cutoff = Date.now() - 86400000; // 24 hours ago
-    
-    let deletedCount = 0;
-    for (const record of allRecords) {
-      if (record.timestamp < cutoff) {
-        await store.delete(record.timestamp);
-        deletedCount++;
-      }
-    }
+    const retention = await getLocationRetention(db);
+    const store = db.transaction(['locations'], 'readwrite').objectStore('locations');
     
+    const deletedCount = await pruneLocations(store, retention);
     console.log(`Cleaned up ${deletedCount} old location records`);
   } catch (error) {
     console.error('Failed to cleanup location history:', error);
   }
 }
 
-// Enhanced IndexedDB operations
-function openLocationDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-    
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-    
-    request.onupgradeneeded = event => {
-      const db = event.target.result;
-      
-      // Create locations store
-      if (!db.objectStoreNames.contains('locations')) {
-        const locationsStore = db.createObjectStore('locations', { 
-          keyPath: 'timestamp' 
-        });
-        locationsStore.createIndex('timestamp', 'timestamp', { unique: false });
-      }
-      
-      // Create alarms store
-      if (!db.objectStoreNames.contains('alarms')) {
-        const alarmsStore = db.createObjectStore('alarms', { 
-          keyPath: 'createdAt'
-        });
-        alarmsStore.createIndex('createdAt', 'createdAt', { unique: true });
-      }
-
-      // Create settings store
-      if (!db.objectStoreNames.contains('settings')) {
-        const settingsStore = db.createObjectStore('settings', { 
-          keyPath: 'key' 
-        });
-      }
+// One connection shared by every operation, reopened after it closes for an upgrade
+let dbPromise = null;
 
-      // Create sync queue store for offline operations
-      if (!db.objectStoreNames.contains('syncQueue')) {
-        const syncStore = db.createObjectStore('syncQueue', { 
-          keyPath: 'id',
-          autoIncrement: true 
-        });
-        syncStore.createIndex('timestamp', 'timestamp', { unique: false });
+function openLocationDB() {
+  if (!dbPromise) {
+    const opening = openDatabase(indexedDB, DB_VERSION, {
+      onClose: () => {
+        if (dbPromise === opening) dbPromise = null;
       }
-    };
-  });
+    }).catch(error => {
+      if (dbPromise === opening) dbPromise = null;
+      throw error;
+    });
+    dbPromise = opening;
+  }
+  return dbPromise;
 }
 
-// Enhanced alarm trigger checking with better accuracy
-async function checkAlarmTriggersEnhanced(position) {
+// Enhanced alarm trigger checking with better accuracy.
+// Fixes forwarded by the page (checkedByPage) were already checked there, for those only
+// the zone states are kept current so nothing is triggered or logged twice.
+async function checkAlarmTriggersEnhanced(position, { checkedByPage = false } = {}) {
   try {
     if (!alarms || alarms.length === 0) return;
     
     const currentLocation = [position.coords.latitude, position.coords.longitude];
-    const accuracy = position.coords.accuracy || 50;
+    const accuracy = position.coords.accuracy; // The engine picks a default buffer when unknown
     
-    console.log(`Checking ${alarms.length} alarms from location:`, currentLocation, `(accuracy: ${accuracy}m)`);
+    console.log(`Checking ${alarms.length} alarms from location:`, currentLocation, `(accuracy: ${accuracy || 'unknown'}m)`);
     
-    for (const alarm of alarms) {
-      if (!alarm.triggered && alarm.location) {
-        const distance = calculateDistance(currentLocation, alarm.location);
-        const effectiveRadius = alarm.radius + Math.min(accuracy, 100); // Account for GPS accuracy
-        
-        console.log(`Alarm "${alarm.name}": distance=${Math.round(distance)}m, radius=${alarm.radius}m, effective=${Math.round(effectiveRadius)}m`);
-        
-        if (distance <= effectiveRadius) {
-          console.log(`Triggering alarm in background: ${alarm.name}`);
-          await triggerBackgroundAlarm(alarm);
-        }
+    const { decisions, states } = evaluateAlarms({
+      position: currentLocation,
+      accuracy,
+      alarms,
+      states: zoneStates,
+      // Used by ETA and route alarms
+      motion: await getRecentMotion(position)
+    });
+    zoneStates = states;
+    if (checkedByPage) return;
+    
+    for (const { alarm, inside, distance, buffer, shouldTrigger, shouldRearm, snooze } of decisions) {
+      console.log(`Alarm "${alarm.name}": inside=${inside}, distance=${Math.round(distance)}m, buffer=${Math.round(buffer)}m`);
+      
+      const details = { position: currentLocation, accuracy: accuracy || null, distance };
+      if (shouldRearm) {
+        await rearmBackgroundAlarm(alarm, details);
+      } else if (snooze === 'refire') {
+        console.log(`Snooze over, firing again in background: ${alarm.name}`);
+        await triggerBackgroundAlarm(alarm, { ...details, reason: 'snooze' });
+      } else if (snooze === 'expire') {
+        await updateAlarmRecord(alarm.id, { snoozedUntil: null });
+      } else if (shouldTrigger) {
+        console.log(`Triggering ${alarm.triggerMode || 'enter'} alarm in background: ${alarm.name}`);
+        await triggerBackgroundAlarm(alarm, details);
       }
     }
   } catch (error) {
@@ -403,6 +381,23 @@ async function checkAlarmTriggersEnhanced(position) {
   }
 }
 
+// Speed and heading from the latest location records, falling back to the fix itself
+async function getRecentMotion(position) {
+  let motion = { speed: null, heading: null };
+  try {
+    const db = await openLocationDB();
+    const store = db.transaction(['locations'], 'readonly').objectStore('locations');
+    motion = getMotionFromLocations(await getLatestLocations(store, 20));
+  } catch (error) {
+    console.error('Failed to read recent locations:', error);
+  }
+  
+  return {
+    speed: motion.speed ?? position.coords.speed ?? null,
+    heading: motion.heading ?? position.coords.heading ?? null
+  };
+}
+
 // Load alarms from IndexedDB with expiration logic
 async function loadAlarmsFromDB() {
   try {
@@ -431,24 +426,7 @@ async function loadAlarmsFromDB() {
         }
       }
       
-      // Auto-expire persistent alarms older than 7 days if no expiration set
-      if (alarm.type === 'persistent' && !alarm.expiresAt) {
-        const alarmAge = now - new Date(alarm.createdAt).getTime();
-        if (alarmAge > 604800000) { // 7 days
-          expiredAlarms.push(alarm);
-          continue;
-        }
-      }
-      
-      // Reset triggered status for persistent alarms after 1 hour
-      if (alarm.triggered && alarm.type === 'persistent') {
-        const triggerAge = now - (alarm.triggeredAt || 0);
-        if (triggerAge > 3600000) { // 1 hour
-          alarm.triggered = false;
-          delete alarm.triggeredAt;
-        }
-      }
-      
+      // Persistent alarms live until expiresAt, fired ones are re-armed by their policy
       validAlarms.push(alarm);
     }
     
@@ -456,7 +434,10 @@ async function loadAlarmsFromDB() {
     if (expiredAlarms.length > 0) {
       console.log(`Cleaning up ${expiredAlarms.length} expired alarms`);
       for (const expired of expiredAlarms) {
-        await store.delete(expired.createdAt);
+        await store.delete(expired.id);
+      }
+      for (const expired of expiredAlarms) {
+        await logEvent('expire', expired, { position: currentLocation });
       }
     }
     
@@ -476,63 +457,64 @@ function getAllRecords(store) {
   });
 }
 
-// Enhanced distance calculation (Haversine formula)
-function calculateDistance(loc1, loc2) {
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = (loc1[0] * Math.PI) / 180;
-  const φ2 = (loc2[0] * Math.PI) / 180;
-  const Δφ = ((loc2[0] - loc1[0]) * Math.PI) / 180;
-  const Δλ = ((loc2[1] - loc1[1]) * Math.PI) / 180;
-
-  const a = Math.sin(Δφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) ** 2;
-  const distance = R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  
-  return distance;
+// Append to the alarm event log, details are position, accuracy and distance
+async function logEvent(type, alarm, details = {}) {
+  try {
+    const db = await openLocationDB();
+    await recordEvent(db, {
+      type,
+      alarmId: alarm.id,
+      alarmName: alarm.name,
+      context: 'service-worker',
+      ...details
+    });
+  } catch (error) {
+    console.error('Failed to log alarm event:', error);
+  }
 }
 
-// Enhanced background alarm triggering with proper state management
-async function triggerBackgroundAlarm(alarm) {
+// Enhanced background alarm triggering with proper state management,
+// details.reason is 'snooze' when a snoozed alarm fires again
+async function triggerBackgroundAlarm(alarm, details = {}) {
   try {
     console.log('Triggering background alarm:', alarm.name);
     
     const now = Date.now();
+    const snoozeMinutes = (alarm.alert && alarm.alert.snoozeMinutes) || DEFAULT_SNOOZE_MINUTES;
     
-    // Check if alarm was already triggered recently (prevent spam)
-    if (alarm.triggeredAt && (now - alarm.triggeredAt) < 300000) { // 5 minutes
-      console.log('Alarm recently triggered, skipping');
-      return;
-    }
-    
-    // Update alarm status in IndexedDB with timestamp
-    const db = await openLocationDB();
-    const transaction = db.transaction(['alarms'], 'readwrite');
-    const store = transaction.objectStore('alarms');
-    
-    const updatedAlarm = { 
-      ...alarm, 
+    // Update only the trigger fields so edits made by the app are kept. Skipped when the
+    // app fired it in the meantime, unless this is a snooze firing it again.
+    const updatedAlarm = await updateAlarmRecord(alarm.id, {
       triggered: true, 
       triggeredAt: now,
-      lastTriggerLocation: currentLocation
-    };
-    
-    await store.put(updatedAlarm);
-    
-    // Update local alarms array
-    const alarmIndex = alarms.findIndex(a => a.createdAt === alarm.createdAt);
-    if (alarmIndex !== -1) {
-      alarms[alarmIndex] = updatedAlarm;
+      // Kept when the alarm is re-armed, for sorting by last trigger
+      lastTriggeredAt: now,
+      lastTriggerLocation: currentLocation,
+      snoozedUntil: null
+    }, existing => details.reason === 'snooze' ? !!existing.snoozedUntil : !existing.triggered);
+    
+    if (!updatedAlarm) {
+      console.log('Alarm deleted or already triggered, skipping:', alarm.name);
+      return;
     }
     
     // Send enhanced notification
     if (self.registration && self.registration.showNotification) {
       await self.registration.showNotification('🚨 GeoAlarm Triggered!', {
-        body: `You're near: ${alarm.name}`,
+        body: describeTrigger(alarm),
         icon: '/favicon.ico',
         badge: '/favicon.ico',
-        tag: `alarm-${alarm.createdAt}`,
+        tag: `alarm-${alarm.id}`,
         requireInteraction: true,
+        silent: alarm.sound === false,
         vibrate: [200, 100, 200, 100, 200, 100, 200],
         actions: [
+          // One-time alarms are deleted shortly after firing, nothing to snooze
+          ...(alarm.type === 'oneTime' ? [] : [{
+            action: 'snooze',
+            title: `😴 Snooze ${snoozeMinutes} min`,
+            icon: '/favicon.ico'
+          }]),
           {
             action: 'view',
             title: '👁️ View',
@@ -545,10 +527,11 @@ async function triggerBackgroundAlarm(alarm) {
           }
         ],
         data: { 
-          alarmId: alarm.createdAt,
+          alarmId: alarm.id,
           alarmName: alarm.name,
           location: alarm.location,
-          timestamp: now
+          timestamp: now,
+          snoozeMinutes
         }
       });
     }
@@ -558,25 +541,25 @@ async function triggerBackgroundAlarm(alarm) {
     clients.forEach(client => {
       client.postMessage({
         type: 'ALARM_TRIGGERED',
-        alarm: updatedAlarm
+        alarm: updatedAlarm,
+        reason: details.reason
       });
     });
     
-    // Add to sync queue for offline handling
-    await addToSyncQueue('alarm_triggered', {
-      alarmId: alarm.createdAt,
-      alarmName: alarm.name,
+    await logEvent('trigger', alarm, {
       timestamp: now,
-      location: currentLocation
+      triggerMode: alarm.triggerMode || 'enter',
+      ...details
     });
     
-    // Auto-delete one-time alarms after triggering
-    if (alarm.type === 'oneTime') {
+    // Auto-delete one-time alarms after triggering, ringing ones are deleted once the
+    // user stops them in the app or dismisses the notification
+    const ringing = alarm.sound !== false && !!(alarm.alert && alarm.alert.ringing);
+    if (alarm.type === 'oneTime' && !ringing) {
       setTimeout(async () => {
         try {
-          await store.delete(alarm.createdAt);
-          const updatedAlarms = alarms.filter(a => a.createdAt !== alarm.createdAt);
-          alarms = updatedAlarms;
+          if (!(await deleteAlarmRecord(alarm.id))) return;
+          await logEvent('delete', alarm, { reason: 'oneTime' });
           console.log('One-time alarm auto-deleted:', alarm.name);
         } catch (error) {
           console.error('Failed to auto-delete one-time alarm:', error);
@@ -589,24 +572,103 @@ async function triggerBackgroundAlarm(alarm) {
   }
 }
 
-// Add operation to sync queue
-async function addToSyncQueue(type, data) {
+
+// Arm a fired alarm again once its re-arm policy allows it
+async function rearmBackgroundAlarm(alarm, details = {}) {
   try {
-    const db = await openLocationDB();
-    const transaction = db.transaction(['syncQueue'], 'readwrite');
-    const store = transaction.objectStore('syncQueue');
+    const updatedAlarm = await updateAlarmRecord(alarm.id, {
+      triggered: false,
+      triggeredAt: null,
+      snoozedUntil: null
+    });
+    if (!updatedAlarm) return;
     
-    await store.add({
-      type,
-      data,
-      timestamp: Date.now(),
-      processed: false
+    await logEvent('reset', alarm, { reason: 'rearm', ...details });
+    
+    console.log('Alarm re-armed:', alarm.name);
+    
+    const clients = await self.clients.matchAll();
+    clients.forEach(client => {
+      client.postMessage({
+        type: 'ALARM_REARMED',
+        alarm: updatedAlarm
+      });
     });
   } catch (error) {
-    console.error('Failed to add to sync queue:', error);
+    console.error('Failed to re-arm alarm:', error);
   }
 }
 
+// Apply changes to one alarm record and bump its revision, returns null if it was deleted
+// or canUpdate(existing) turned the change down
+async function updateAlarmRecord(id, changes, canUpdate = null) {
+  const db = await openLocationDB();
+  const store = db.transaction(['alarms'], 'readwrite').objectStore('alarms');
+  
+  const existing = await requestToPromise(store.get(id));
+  if (!existing || (canUpdate && !canUpdate(existing))) return null;
+  
+  const updated = {
+    ...existing,
+    ...changes,
+    id,
+    revision: (existing.revision || 0) + 1,
+    updatedAt: Date.now()
+  };
+  await requestToPromise(store.put(updated));
+  
+  applyAlarmChange(updated);
+  return updated;
+}
+
+// Delete one alarm record and tell the app about it, returns false if it was already gone
+async function deleteAlarmRecord(id) {
+  const db = await openLocationDB();
+  const store = db.transaction(['alarms'], 'readwrite').objectStore('alarms');
+  const existing = await requestToPromise(store.get(id));
+  await requestToPromise(store.delete(id));
+  
+  removeAlarmLocally(id);
+  
+  const clients = await self.clients.matchAll();
+  clients.forEach(client => {
+    client.postMessage({ type: 'ALARM_DELETED', alarmId: id });
+  });
+  return !!existing;
+}
+
+// Merge an alarm into the in-memory list unless we already hold a newer revision
+function applyAlarmChange(alarm) {
+  const alarmIndex = alarms.findIndex(a => a.id === alarm.id);
+  
+  if (alarmIndex === -1) {
+    alarms = [...alarms, alarm];
+  } else if ((alarm.revision || 0) >= (alarms[alarmIndex].revision || 0)) {
+    alarms[alarmIndex] = alarm;
+  }
+}
+
+function removeAlarmLocally(id) {
+  alarms = alarms.filter(a => a.id !== id);
+  zoneStates.delete(id);
+}
+
+// Notification text for the alarm's trigger mode
+function describeTrigger(alarm) {
+  if (alarm.shape === 'route') {
+    const destination = alarm.stops[alarm.stops.length - 1].name || alarm.name;
+    return `Get ready, your stop is coming up: ${destination}`;
+  }
+  if (alarm.triggerMode === 'exit') return `You left: ${alarm.name}`;
+  if (alarm.triggerMode === 'dwell') {
+    return `You've been at ${alarm.name} for ${alarm.dwellMinutes || DEFAULT_DWELL_MINUTES} min`;
+  }
+  if (alarm.triggerMode === 'eta') {
+    return `About ${alarm.etaMinutes || DEFAULT_ETA_MINUTES} min to: ${alarm.name}`;
+  }
+  return `You're near: ${alarm.name}`;
+}
+
 // Notify clients about location update
 async function notifyClientsAboutLocationUpdate(location) {
   try {
@@ -641,26 +703,47 @@ self.addEventListener('notificationclick', event => {
     // Mark alarm as dismissed
     event.waitUntil(dismissAlarm(data.alarmId));
   }
+  
+  if (action === 'snooze' && data.alarmId) {
+    event.waitUntil(snoozeAlarm(data.alarmId, data.snoozeMinutes || DEFAULT_SNOOZE_MINUTES));
+  }
 });
 
+// Keep the alarm triggered but let it fire again after the snooze, the trigger
+// checks do that once snoozedUntil has passed and the alarm's condition still holds
+async function snoozeAlarm(alarmId, minutes) {
+  try {
+    const alarm = await updateAlarmRecord(alarmId, {
+      snoozedUntil: Date.now() + minutes * 60000
+    });
+    
+    if (alarm) {
+      await logEvent('snooze', alarm, { minutes, position: currentLocation });
+      
+      const clients = await self.clients.matchAll();
+      clients.forEach(client => {
+        client.postMessage({
+          type: 'ALARM_SNOOZED',
+          alarm
+        });
+      });
+    }
+  } catch (error) {
+    console.error('Failed to snooze alarm:', error);
+  }
+}
+
 // Dismiss alarm function
 async function dismissAlarm(alarmId) {
   try {
-    const db = await openLocationDB();
-    const transaction = db.transaction(['alarms'], 'readwrite');
-    const store = transaction.objectStore('alarms');
+    const alarm = await updateAlarmRecord(alarmId, {
+      triggered: false,
+      dismissedAt: Date.now(),
+      snoozedUntil: null
+    });
     
-    const alarm = await store.get(alarmId);
     if (alarm) {
-      alarm.triggered = false;
-      alarm.dismissedAt = Date.now();
-      await store.put(alarm);
-      
-      // Update local alarms array
-      const alarmIndex = alarms.findIndex(a => a.createdAt === alarmId);
-      if (alarmIndex !== -1) {
-        alarms[alarmIndex] = alarm;
-      }
+      await logEvent('dismiss', alarm, { position: currentLocation });
       
       // Notify clients
       const clients = await self.clients.matchAll();
@@ -670,6 +753,11 @@ async function dismissAlarm(alarmId) {
           alarm
         });
       });
+      
+      // Dismissing acknowledges the ring, so a one-time alarm is removed now
+      if (alarm.type === 'oneTime' && await deleteAlarmRecord(alarmId)) {
+        await logEvent('delete', alarm, { reason: 'oneTime' });
+      }
     }
   } catch (error) {
     console.error('Failed to dismiss alarm:', error);
@@ -683,8 +771,12 @@ self.addEventListener('message', event => {
   console.log('Service worker received message:', type);
   
   switch (type) {
-    case 'SYNC_ALARMS':
-      syncAlarmsToIndexedDB(data.alarms);
+    case 'ALARM_ADDED':
+    case 'ALARM_UPDATED':
+      handleAlarmChanged(data.alarm);
+      break;
+    case 'ALARM_DELETED':
+      handleAlarmDeleted(data.alarmId);
       break;
     case 'LOCATION_UPDATE':
       handleLocationUpdate(data);
@@ -727,10 +819,12 @@ function handleLocationUpdate(data) {
       coords: {
         latitude: currentLocation[0],
         longitude: currentLocation[1],
-        accuracy: data.accuracy || 50
+        accuracy: data.accuracy || null,
+        speed: Number.isFinite(data.speed) ? data.speed : null,
+        heading: Number.isFinite(data.heading) ? data.heading : null
       }
     };
-    checkAlarmTriggersEnhanced(mockPosition);
+    checkAlarmTriggersEnhanced(mockPosition, { checkedByPage: true });
   }
 }
 
@@ -758,40 +852,39 @@ function stopBackgroundTracking() {
   isBackgroundSyncActive = false;
 }
 
-// Enhanced sync alarms with proper cleanup
-async function syncAlarmsToIndexedDB(newAlarms) {
-  try {
-    const db = await openLocationDB();
-    const transaction = db.transaction(['alarms'], 'readwrite');
-    const store = transaction.objectStore('alarms');
-    
-    // Clear ALL existing alarms first
-    await store.clear();
-    console.log('Cleared all existing alarms from IndexedDB');
-    
-    // Add only the new alarms from main app
-    for (const alarm of newAlarms) {
-      await store.add({
-        ...alarm,
-        syncedAt: Date.now()
-      });
-    }
-    
-    // Update local alarms array - REPLACE completely
-    alarms = [...newAlarms];
-    
-    console.log(`Synced ${alarms.length} fresh alarms to IndexedDB`);
-    
-    // Start background tracking only if we have valid alarms
-    if (alarms.length > 0 && isBackgroundSyncActive) {
-      startEnhancedBackgroundTracking();
-    } else if (alarms.length === 0) {
-      console.log('No alarms to track, stopping background sync');
-      isBackgroundSyncActive = false;
-    }
-    
-  } catch (error) {
-    console.error('Failed to sync alarms:', error);
+// The app already wrote the record, just refresh our in-memory copy
+function handleAlarmChanged(alarm) {
+  if (!alarm || !alarm.id) return;
+  
+  // A moved or resized zone starts over with no inside/outside state
+  const previous = alarms.find(a => a.id === alarm.id);
+  if (previous && (
+    previous.radius !== alarm.radius ||
+    JSON.stringify(previous.location) !== JSON.stringify(alarm.location) ||
+    JSON.stringify(previous.polygon) !== JSON.stringify(alarm.polygon) ||
+    JSON.stringify(previous.stops) !== JSON.stringify(alarm.stops)
+  )) {
+    zoneStates.delete(alarm.id);
+  }
+  
+  applyAlarmChange(alarm);
+  console.log(`Alarm changed: ${alarm.name} (revision ${alarm.revision})`);
+  updateBackgroundTrackingState();
+}
+
+function handleAlarmDeleted(alarmId) {
+  removeAlarmLocally(alarmId);
+  console.log('Alarm deleted:', alarmId);
+  updateBackgroundTrackingState();
+}
+
+// Start background tracking only if we have alarms to watch
+function updateBackgroundTrackingState() {
+  if (alarms.length > 0 && isBackgroundSyncActive) {
+    startEnhancedBackgroundTracking();
+  } else if (alarms.length === 0) {
+    console.log('No alarms to track, stopping background sync');
+    isBackgroundSyncActive = false;
   }
 }
 
@@ -812,11 +905,13 @@ async function clearAllServiceWorkerData() {
   try {
     console.log('Clearing ALL service worker data...');
     const db = await openLocationDB();
-    const transaction = db.transaction(['alarms', 'locations', 'syncQueue'], 'readwrite');
+    const transaction = db.transaction(['alarms', 'locations', 'syncQueue', 'events', 'sounds'], 'readwrite');
     
     await transaction.objectStore('alarms').clear();
     await transaction.objectStore('locations').clear();
     await transaction.objectStore('syncQueue').clear();
+    await transaction.objectStore('events').clear();
+    await transaction.objectStore('sounds').clear();
     
     alarms = [];
     currentLocation = null;
@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { computeAlarmStats } from "../util/alarmStats";
+
+const HOME = [51.5, -0.12];
+const METERS_PER_DEGREE = (6371e3 * Math.PI) / 180;
+const MINUTE = 60000;
+const DAY = 24 * 60 * MINUTE;
+const START = new Date(2024, 0, 1, 8, 0).getTime();
+
+const alarm = { id: "home", name: "Home", location: HOME, radius: 100, triggerMode: "enter" };
+
+const trigger = (timestamp, context, distance) => ({
+  type: "trigger",
+  alarmId: "home",
+  timestamp,
+  context,
+  distance,
+  accuracy: 10,
+});
+
+// A location record `meters` north of HOME
+const fix = (timestamp, meters) => ({
+  timestamp,
+  latitude: HOME[0] + meters / METERS_PER_DEGREE,
+  longitude: HOME[1],
+});
+
+describe("computeAlarmStats", () => {
+  it("counts a trigger logged by both the page and the service worker once", () => {
+    const events = [
+      trigger(START, "page", 40),
+      trigger(START + 1500, "service-worker", 60),
+      trigger(START + DAY, "service-worker", 80),
+      trigger(START + DAY + 2000, "page", 90),
+    ];
+    // Left the zone again a minute after each trigger
+    const locations = [fix(START + MINUTE, 400), fix(START + DAY + MINUTE, 400)];
+
+    const stats = computeAlarmStats(alarm, events, locations);
+    expect(stats.timesTriggered).toBe(2);
+    expect(stats.hourCounts.reduce((sum, count) => sum + count, 0)).toBe(2);
+    expect(stats.averageTriggerDistance).toBe(60);
+    expect(stats.exitChecks).toBe(2);
+    expect(stats.falseTriggers).toBe(2);
+    expect(stats.lastTriggeredAt).toBe(START + DAY);
+  });
+
+  it("keeps separate triggers from the same context or further apart", () => {
+    const events = [
+      trigger(START, "page", 50),
+      trigger(START + 5000, "page", 50),
+      trigger(START + 5 * MINUTE, "service-worker", 50),
+      { type: "dismiss", alarmId: "home", timestamp: START + 6 * MINUTE, context: "page" },
+    ];
+
+    const stats = computeAlarmStats(alarm, events, []);
+    expect(stats.timesTriggered).toBe(3);
+    expect(stats.dismissals).toBe(1);
+    expect(stats.falseTriggerRate).toBe(null);
+  });
+});
@@ -0,0 +1,106 @@
+import { IDBFactory } from "fake-indexeddb";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { DEFAULT_ALERT_PROFILE } from "../util/alertProfile";
+import { GeoAlarmDB } from "../util/db";
+
+const soundAlarm = (soundId) => ({
+  id: "home",
+  name: "Home",
+  location: [51.5, -0.12],
+  radius: 100,
+  alert: { tone: "custom", soundId, soundName: "bell.mp3" },
+});
+
+describe("backups", () => {
+  let database;
+
+  beforeEach(() => {
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    vi.stubGlobal("navigator", {});
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    database = new GeoAlarmDB();
+  });
+
+  afterEach(() => {
+    database.close();
+    vi.unstubAllGlobals();
+  });
+
+  it("carries uploaded sounds to another device", async () => {
+    const file = new Blob([new Uint8Array([1, 2, 3, 250])], { type: "audio/mpeg" });
+    file.name = "bell.mp3";
+    const soundId = await database.saveSound(file);
+    await database.addAlarm(soundAlarm(soundId));
+
+    const backup = JSON.parse(JSON.stringify(await database.exportData()));
+    expect(backup.sounds).toHaveLength(1);
+
+    database.close();
+    vi.stubGlobal("indexedDB", new IDBFactory());
+    const otherDevice = new GeoAlarmDB();
+    const report = await otherDevice.importData(backup);
+    expect(report.sounds).toBe(1);
+
+    const [alarm] = await otherDevice.loadAlarms();
+    expect(alarm.alert).toMatchObject({ tone: "custom", soundId });
+    const blob = await otherDevice.getSound(soundId);
+    expect(blob.type).toBe("audio/mpeg");
+    expect([...new Uint8Array(await blob.arrayBuffer())]).toEqual([1, 2, 3, 250]);
+    otherDevice.close();
+  });
+
+  it("skips alarms whose schedule the editor would have rejected", async () => {
+    const report = await database.importData({
+      format: "geoalarm-backup",
+      schemaVersion: 6,
+      alarms: [
+        { ...soundAlarm(null), alert: null, schedule: { windows: [{ start: "08:00", end: "08:00" }] } },
+        { ...soundAlarm(null), id: "work", alert: null, schedule: { days: [1], windows: [] } },
+      ],
+    });
+
+    expect(report).toMatchObject({ added: 1, invalid: 1 });
+    expect((await database.loadAlarms()).map((alarm) => alarm.id)).toEqual(["work"]);
+  });
+
+  it("falls back to a built-in tone when the sound is missing", async () => {
+    await database.importData({
+      format: "geoalarm-backup",
+      schemaVersion: 6,
+      alarms: [soundAlarm("gone")],
+    });
+
+    const [alarm] = await database.loadAlarms();
+    expect(alarm.alert).toMatchObject({ tone: "beep", soundId: null, soundName: null });
+  });
+
+  it("exports alarms of a deleted group with the ungrouped ones", async () => {
+    await database.saveSettings({ alarmGroups: [{ id: "trips", name: "Trips" }] });
+    await database.addAlarm({ ...soundAlarm(null), alert: null });
+    await database.addAlarm({ ...soundAlarm(null), id: "work", alert: null, groupId: "trips" });
+    await database.addAlarm({ ...soundAlarm(null), id: "gym", alert: null, groupId: "deleted" });
+
+    const ungrouped = await database.exportGroup(null);
+    expect(ungrouped.alarms.map((alarm) => alarm.id).sort()).toEqual(["gym", "home"]);
+    expect(ungrouped.settings).toEqual({});
+
+    const trips = await database.exportGroup("trips");
+    expect(trips.alarms.map((alarm) => alarm.id)).toEqual(["work"]);
+    expect(trips.settings.alarmGroups).toEqual([{ id: "trips", name: "Trips" }]);
+  });
+
+  it("completes alert profiles saved without a message", async () => {
+    await database.importData({
+      format: "geoalarm-backup",
+      schemaVersion: 6,
+      alarms: [{ ...soundAlarm(null), alert: { tone: "chime", soundId: null, soundName: null } }],
+    });
+
+    const [alarm] = await database.loadAlarms();
+    expect(alarm.alert).toEqual({ ...DEFAULT_ALERT_PROFILE, tone: "chime" });
+
+    await database.updateAlarm(alarm.id, { ...alarm, name: "Home again" });
+    const [saved] = await database.loadAlarms();
+    expect(saved).toMatchObject({ name: "Home again", alert: { tone: "chime", message: "" } });
+  });
+});
@@ -0,0 +1,527 @@
+import { readFileSync } from "fs";
+import path from "path";
+import vm from "vm";
+import { describe, expect, it } from "vitest";
+import * as GeoFence from "../public/geofence";
+
+const {
+  evaluateAlarms,
+  getNextActiveTime,
+  getSnoozeOutcome,
+  isRouteConditionMet,
+  isScheduleActive,
+  isValidSchedule,
+  shouldRearm,
+} = GeoFence;
+
+const HOME = [51.5, -0.12];
+const METERS_PER_DEGREE = (6371e3 * Math.PI) / 180;
+const MINUTE = 60000;
+const NOW = Date.UTC(2024, 0, 1, 12, 0); // a Monday
+
+// A point `meters` north (negative: south) of `from`
+const north = (meters, from = HOME) => [from[0] + meters / METERS_PER_DEGREE, from[1]];
+
+const circleAlarm = (overrides = {}) => ({
+  id: "home",
+  name: "Home",
+  location: HOME,
+  radius: 100,
+  triggerMode: "enter",
+  ...overrides,
+});
+
+// Stops every kilometer north of HOME, the last one is the destination
+const routeAlarm = (overrides = {}) => ({
+  id: "commute",
+  name: "Commute",
+  shape: "route",
+  location: north(3000),
+  radius: 100,
+  stops: [0, 1000, 2000, 3000].map((meters, i) => ({
+    name: `Stop ${i + 1}`,
+    location: north(meters),
+  })),
+  routeTrigger: { mode: "stops", stopsBefore: 1 },
+  ...overrides,
+});
+
+// Feed fixes one by one like the page and the service worker do: zone states carry
+// over and the alarm is updated as the callers would on trigger and re-arm.
+function run(alarm, fixes, { accuracy = 10, motion = {}, engine = GeoFence } = {}) {
+  let current = { ...alarm };
+  let states = new Map();
+  let now = NOW;
+
+  return fixes.map((position) => {
+    now += MINUTE;
+    const result = engine.evaluateAlarms({
+      position,
+      accuracy,
+      alarms: [current],
+      states,
+      motion,
+      now,
+    });
+    states = result.states;
+
+    const decision = result.decisions[0] || null;
+    if (decision && decision.shouldRearm) {
+      current = { ...current, triggered: false, triggeredAt: null, snoozedUntil: null };
+    } else if (decision && decision.shouldTrigger) {
+      current = { ...current, triggered: true, triggeredAt: now };
+    }
+    return decision;
+  });
+}
+
+const fired = (decisions) => decisions.map((d) => !!d && d.shouldTrigger);
+
+describe("zones", () => {
+  // A square 200m across centered on HOME
+  const square = [
+    [-100, -100],
+    [-100, 100],
+    [100, 100],
+    [100, -100],
+  ].map(([n, e]) => [
+    HOME[0] + n / METERS_PER_DEGREE,
+    HOME[1] + e / (METERS_PER_DEGREE * Math.cos((HOME[0] * Math.PI) / 180)),
+  ]);
+
+  it("measures distances in meters", () => {
+    expect(GeoFence.getDistance(HOME, north(1000))).toBeCloseTo(1000, 0);
+  });
+
+  it("widens zones by half the fix accuracy, up to a cap", () => {
+    expect(GeoFence.getAccuracyBuffer(undefined)).toBe(10);
+    expect(GeoFence.getAccuracyBuffer(30)).toBe(15);
+    expect(GeoFence.getAccuracyBuffer(100)).toBe(20);
+  });
+
+  it("applies the buffer to circles and polygons", () => {
+    const polygon = circleAlarm({ shape: "polygon", polygon: square });
+
+    expect(GeoFence.isInsideAlarm(north(110), circleAlarm(), 5)).toBe(false);
+    expect(GeoFence.isInsideAlarm(north(110), circleAlarm(), 15)).toBe(true);
+    expect(GeoFence.isInsideAlarm(HOME, polygon, 0)).toBe(true);
+    expect(GeoFence.isInsideAlarm(north(110), polygon, 5)).toBe(false);
+    expect(GeoFence.isInsideAlarm(north(110), polygon, 15)).toBe(true);
+  });
+});
+
+describe("trigger modes", () => {
+  const alarm = (overrides) =>
+    circleAlarm({ createdAt: "2024-01-01T08:00:00.000Z", thresholds: { requiredFixes: 1 }, ...overrides });
+
+  // One fix a minute; the alarm itself is left untouched between fixes
+  function track(subject, fixes) {
+    let states = new Map();
+    return fixes.map((position, i) => {
+      const result = evaluateAlarms({
+        position,
+        accuracy: 10,
+        alarms: [subject],
+        states,
+        now: NOW + i * MINUTE,
+      });
+      states = result.states;
+      return result.decisions[0].shouldTrigger;
+    });
+  }
+
+  it("fires enter alarms on every crossing into the zone", () => {
+    expect(track(alarm(), [north(500), north(50), north(50), north(500), north(50)])).toEqual([
+      false,
+      true,
+      false,
+      false,
+      true,
+    ]);
+  });
+
+  it("fires exit alarms when leaving the zone", () => {
+    expect(track(alarm({ triggerMode: "exit" }), [north(50), north(500), north(500)])).toEqual([
+      false,
+      true,
+      false,
+    ]);
+  });
+
+  it("fires dwell alarms once after staying inside long enough", () => {
+    const dwell = alarm({ triggerMode: "dwell", dwellMinutes: 2 });
+    expect(track(dwell, [north(500), north(50), north(50), north(50), north(50)])).toEqual([
+      false,
+      false,
+      false,
+      true,
+      false,
+    ]);
+  });
+
+  it("doesn't fire alarms that already triggered", () => {
+    expect(track(alarm({ triggered: true }), [north(500), north(50)])).toEqual([false, false]);
+  });
+});
+
+describe("hysteresis", () => {
+  it("fires only after two consecutive fixes inside", () => {
+    const decisions = run(circleAlarm(), [
+      north(500),
+      north(500),
+      north(50),
+      north(50),
+      north(50),
+    ]);
+    expect(fired(decisions)).toEqual([false, false, false, true, false]);
+  });
+
+  it("ignores a single stray fix on the other side", () => {
+    const decisions = run(circleAlarm(), [
+      north(500),
+      north(500),
+      north(50),
+      north(500),
+      north(50),
+    ]);
+    expect(fired(decisions)).toEqual([false, false, false, false, false]);
+  });
+
+  it("stays inside within the exit margin so the edge doesn't flap", () => {
+    // 100m radius + 5m accuracy buffer: 120m is outside when entering,
+    // but within the 25m exit margin once inside
+    const decisions = run(circleAlarm({ triggerMode: "exit" }), [
+      north(50),
+      north(50),
+      north(120),
+      north(120),
+      north(200),
+      north(200),
+    ]);
+    expect(decisions.map((d) => d.inside)).toEqual([false, true, true, true, true, false]);
+    expect(fired(decisions)).toEqual([false, false, false, false, false, true]);
+  });
+
+  it("honors per-alarm thresholds", () => {
+    const decisions = run(circleAlarm({ thresholds: { requiredFixes: 1 } }), [
+      north(500),
+      north(50),
+    ]);
+    expect(fired(decisions)).toEqual([false, true]);
+  });
+});
+
+describe("schedules", () => {
+  const at = (day, hours, minutes = 0) => Date.UTC(2024, 0, day, hours, minutes);
+  const weekdays = {
+    days: [1, 2, 3, 4, 5],
+    windows: [{ start: "09:00", end: "17:00" }],
+    timeZone: "UTC",
+  };
+
+  it("is active inside a window on a listed day", () => {
+    expect(isScheduleActive(weekdays, at(1, 10))).toBe(true);
+    expect(isScheduleActive(weekdays, at(1, 17))).toBe(false);
+    // Jan 6th 2024 is a Saturday
+    expect(isScheduleActive(weekdays, at(6, 10))).toBe(false);
+  });
+
+  it("counts an overnight window toward the day it starts on", () => {
+    const mondayNight = {
+      days: [1],
+      windows: [{ start: "22:00", end: "06:00" }],
+      timeZone: "UTC",
+    };
+    expect(isScheduleActive(mondayNight, at(1, 23))).toBe(true);
+    expect(isScheduleActive(mondayNight, at(2, 5))).toBe(true);
+    expect(isScheduleActive(mondayNight, at(1, 5))).toBe(false);
+  });
+
+  it("respects the date range", () => {
+    const january = { startDate: "2024-01-02", endDate: "2024-01-03", timeZone: "UTC" };
+    expect(isScheduleActive(january, at(1, 12))).toBe(false);
+    expect(isScheduleActive(january, at(3, 23, 59))).toBe(true);
+    expect(isScheduleActive(january, at(4, 0))).toBe(false);
+  });
+
+  it("finds the next window start", () => {
+    expect(getNextActiveTime(weekdays, at(1, 18))).toBe(at(2, 9));
+    expect(getNextActiveTime(weekdays, at(5, 18))).toBe(at(8, 9));
+    expect(getNextActiveTime(weekdays, at(1, 10))).toBe(at(1, 10));
+  });
+
+  it("rejects windows that start and end at the same time", () => {
+    expect(isValidSchedule(weekdays)).toBe(true);
+    expect(isValidSchedule({ windows: [{ start: "09:00", end: "9:00" }] })).toBe(false);
+    expect(isValidSchedule({ windows: [{ start: "25:00", end: "09:00" }] })).toBe(false);
+    expect(isValidSchedule({ days: [7] })).toBe(false);
+  });
+
+  it("disarms alarms outside their schedule", () => {
+    const alarm = circleAlarm({
+      schedule: { windows: [{ start: "00:00", end: "01:00" }], timeZone: "UTC" },
+    });
+    const { decisions, states } = evaluateAlarms({
+      position: HOME,
+      alarms: [alarm],
+      states: new Map([["home", { inside: true }]]),
+      now: NOW,
+    });
+    expect(decisions).toEqual([]);
+    expect(states.has("home")).toBe(false);
+  });
+});
+
+describe("re-arm policies", () => {
+  const firedAlarm = (overrides = {}) =>
+    circleAlarm({ triggered: true, triggeredAt: NOW - 10 * MINUTE, ...overrides });
+
+  it("'leave' re-arms once far enough outside the zone", () => {
+    expect(shouldRearm(firedAlarm(), north(130), NOW)).toBe(false);
+    expect(shouldRearm(firedAlarm(), north(200), NOW)).toBe(true);
+  });
+
+  it("'timer' re-arms after the set minutes", () => {
+    const alarm = firedAlarm({ rearm: { mode: "timer", minutes: 30 } });
+    expect(shouldRearm(alarm, HOME, NOW)).toBe(false);
+    expect(shouldRearm(alarm, HOME, NOW + 20 * MINUTE)).toBe(true);
+  });
+
+  it("'manual' and one-time alarms never re-arm by themselves", () => {
+    expect(shouldRearm(firedAlarm({ rearm: { mode: "manual" } }), north(5000), NOW)).toBe(false);
+    expect(shouldRearm(firedAlarm({ type: "oneTime" }), north(5000), NOW)).toBe(false);
+  });
+
+  it("exit alarms re-arm on the way back in", () => {
+    const alarm = firedAlarm({ triggerMode: "exit" });
+    expect(shouldRearm(alarm, north(500), NOW)).toBe(false);
+    expect(shouldRearm(alarm, north(50), NOW)).toBe(true);
+  });
+
+  it("lets an enter alarm fire again after leaving and coming back", () => {
+    const decisions = run(circleAlarm(), [
+      north(50),
+      north(50),
+      north(500),
+      north(500),
+      north(50),
+      north(50),
+    ]);
+    expect(fired(decisions)).toEqual([false, true, false, false, false, true]);
+    expect(decisions[2].shouldRearm).toBe(true);
+  });
+});
+
+describe("route alarms", () => {
+  it("fires the set number of stops before the destination", () => {
+    const alarm = routeAlarm();
+    expect(isRouteConditionMet(north(1500), alarm, 5)).toBe(false);
+    expect(isRouteConditionMet(north(1950), alarm, 5)).toBe(true);
+
+    const decisions = run(alarm, [north(1000), north(1500), north(2000), north(2100)]);
+    expect(fired(decisions)).toEqual([false, false, false, true]);
+  });
+
+  it("only re-arms after the destination was reached and then left", () => {
+    const decisions = run(routeAlarm(), [
+      north(1500),
+      north(1500),
+      north(2000),
+      north(2100),
+      north(2300),
+      north(2600),
+      north(3000),
+      north(2500),
+    ]);
+    expect(fired(decisions)).toEqual([false, false, false, true, false, false, false, false]);
+    expect(decisions.map((d) => d.shouldRearm)).toEqual([
+      false,
+      false,
+      false,
+      false,
+      false,
+      false,
+      false,
+      true,
+    ]);
+  });
+
+  it("ignores positions far off the route", () => {
+    const offRoute = [north(2500)[0], HOME[1] + 0.02];
+    expect(isRouteConditionMet(offRoute, routeAlarm(), 5)).toBe(false);
+  });
+
+  it("fires by ETA to the last stop when set to", () => {
+    const alarm = routeAlarm({ routeTrigger: { mode: "eta", minutesBefore: 5 } });
+    // 2500m left: 250s at 10 m/s, 500s at 5 m/s
+    expect(isRouteConditionMet(north(500), alarm, 5, { speed: 10, heading: 0 })).toBe(true);
+    expect(isRouteConditionMet(north(500), alarm, 5, { speed: 5, heading: 0 })).toBe(false);
+    // Traveling the other way
+    expect(isRouteConditionMet(north(500), alarm, 5, { speed: 10, heading: 180 })).toBe(false);
+  });
+});
+
+describe("ETA alarms", () => {
+  const alarm = circleAlarm({ triggerMode: "eta", etaMinutes: 5 });
+
+  it("fires once the predicted arrival is within etaMinutes", () => {
+    // 1900m to the edge: 190s at 10 m/s
+    const towardHome = run(alarm, [north(-2000), north(-2000)], {
+      motion: { speed: 10, heading: 0 },
+    });
+    expect(fired(towardHome)).toEqual([false, true]);
+
+    const tooSlow = run(alarm, [north(-2000), north(-2000)], {
+      motion: { speed: 1, heading: 0 },
+    });
+    expect(fired(tooSlow)).toEqual([false, false]);
+
+    const awayFromHome = run(alarm, [north(-2000), north(-2000)], {
+      motion: { speed: 10, heading: 180 },
+    });
+    expect(fired(awayFromHome)).toEqual([false, false]);
+  });
+
+  it("only re-arms after the zone was reached and then left", () => {
+    const decisions = run(
+      alarm,
+      [north(-2000), north(-2000), north(-1000), north(0), north(800)],
+      { motion: { speed: 10, heading: 0 } }
+    );
+    expect(fired(decisions)).toEqual([false, true, false, false, false]);
+    expect(decisions.map((d) => d.shouldRearm)).toEqual([false, false, false, false, true]);
+  });
+});
+
+describe("snooze", () => {
+  const snoozed = (overrides = {}) =>
+    circleAlarm({ triggered: true, triggeredAt: NOW, snoozedUntil: NOW + 5 * MINUTE, ...overrides });
+
+  it("waits until snoozedUntil has passed", () => {
+    expect(getSnoozeOutcome(snoozed(), true, NOW + MINUTE)).toBe(null);
+    expect(getSnoozeOutcome(snoozed(), true, NOW + 5 * MINUTE)).toBe("refire");
+  });
+
+  it("expires when the trigger condition no longer holds", () => {
+    expect(getSnoozeOutcome(snoozed(), false, NOW + 6 * MINUTE)).toBe("expire");
+    expect(getSnoozeOutcome(snoozed({ triggerMode: "exit" }), false, NOW + 6 * MINUTE)).toBe(
+      "refire"
+    );
+  });
+
+  it("waits for a confirmed side and ignores alarms that aren't snoozed", () => {
+    expect(getSnoozeOutcome(snoozed(), null, NOW + 6 * MINUTE)).toBe(null);
+    expect(getSnoozeOutcome(circleAlarm({ triggered: true }), true, NOW)).toBe(null);
+  });
+
+  it("keeps a snoozed alarm from re-arming until the snooze is over", () => {
+    const alarm = snoozed();
+    expect(shouldRearm(alarm, north(500), NOW + MINUTE)).toBe(false);
+    expect(shouldRearm(alarm, north(500), NOW + 5 * MINUTE)).toBe(true);
+
+    const route = routeAlarm({ triggered: true, triggeredAt: NOW, snoozedUntil: NOW + 5 * MINUTE });
+    const state = { inside: true, arrived: true };
+    expect(shouldRearm(route, north(2500), NOW + MINUTE, state)).toBe(false);
+  });
+
+  it("fires a snoozed alarm again rather than re-arming it", () => {
+    const alarm = snoozed({ rearm: { mode: "timer", minutes: 1 } });
+    const { decisions } = evaluateAlarms({
+      position: HOME,
+      alarms: [alarm],
+      states: new Map([["home", { inside: true }]]),
+      now: NOW + 6 * MINUTE,
+    });
+    expect(decisions[0]).toMatchObject({ snooze: "refire", shouldRearm: false });
+  });
+
+  it("fires a snoozed route alarm again past the destination", () => {
+    const route = routeAlarm();
+    let states = new Map();
+    let current = route;
+    const step = (position, now) => {
+      const result = evaluateAlarms({ position, accuracy: 10, alarms: [current], states, now });
+      states = result.states;
+      return result.decisions[0];
+    };
+
+    step(north(2000), NOW);
+    expect(step(north(2100), NOW + MINUTE).shouldTrigger).toBe(true);
+    current = { ...route, triggered: true, triggeredAt: NOW + MINUTE, snoozedUntil: NOW + 6 * MINUTE };
+    // Reaching the destination and moving on while snoozed doesn't re-arm it
+    expect(step(north(3000), NOW + 2 * MINUTE).shouldRearm).toBe(false);
+    expect(step(north(2600), NOW + 3 * MINUTE).shouldRearm).toBe(false);
+    expect(step(north(2600), NOW + 7 * MINUTE)).toMatchObject({ snooze: "refire", shouldRearm: false });
+  });
+
+  it("reports the outcome in evaluateAlarms", () => {
+    const { decisions } = evaluateAlarms({
+      position: HOME,
+      alarms: [snoozed()],
+      states: new Map([["home", { inside: true }]]),
+      now: NOW + 6 * MINUTE,
+    });
+    expect(decisions[0].snooze).toBe("refire");
+  });
+});
+
+describe("page and service worker parity", () => {
+  // The service worker loads the engine with importScripts, which sets self.GeoFence
+  function loadServiceWorkerEngine() {
+    const source = readFileSync(path.join(__dirname, "../public/geofence.js"), "utf8");
+    const sandbox = {};
+    sandbox.self = sandbox;
+    vm.createContext(sandbox);
+    vm.runInContext(source, sandbox, { filename: "geofence.js" });
+    return sandbox.GeoFence;
+  }
+
+  // Decisions without the alarm objects, normalized so results from both realms compare
+  const summarize = (decisions) =>
+    JSON.parse(JSON.stringify(decisions.map(({ alarm, ...decision }) => decision)));
+
+  it("reaches the same decisions and states for the same fixes", () => {
+    const serviceWorker = loadServiceWorkerEngine();
+    expect(serviceWorker).toBeDefined();
+
+    const alarms = [
+      circleAlarm(),
+      circleAlarm({ id: "leave", triggerMode: "exit" }),
+      circleAlarm({ id: "dwell", triggerMode: "dwell", dwellMinutes: 2 }),
+      circleAlarm({ id: "eta", triggerMode: "eta", etaMinutes: 5 }),
+      circleAlarm({
+        id: "polygon",
+        shape: "polygon",
+        polygon: [north(-100), north(100), [HOME[0], HOME[1] + 0.003]],
+      }),
+      routeAlarm(),
+      circleAlarm({
+        id: "scheduled",
+        schedule: { days: [1], windows: [{ start: "12:00", end: "12:05" }], timeZone: "UTC" },
+      }),
+      circleAlarm({ id: "snoozed", triggered: true, triggeredAt: NOW, snoozedUntil: NOW + 3 * MINUTE }),
+    ];
+    const fixes = [-2000, -900, -40, 0, 30, 130, 400, 1950, 2100, 0].map((meters) => north(meters));
+
+    let pageStates = new Map();
+    let workerStates = new Map();
+    fixes.forEach((position, i) => {
+      const input = {
+        position,
+        accuracy: 12,
+        alarms,
+        motion: { speed: 9, heading: 0 },
+        now: NOW + i * MINUTE,
+      };
+      const page = evaluateAlarms({ ...input, states: pageStates });
+      const worker = serviceWorker.evaluateAlarms({ ...input, states: workerStates });
+      pageStates = page.states;
+      workerStates = worker.states;
+
+      expect(summarize(worker.decisions)).toEqual(summarize(page.decisions));
+      expect(JSON.parse(JSON.stringify([...worker.states]))).toEqual(
+        JSON.parse(JSON.stringify([...page.states]))
+      );
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { IDBFactory } from "fake-indexeddb";
+import { describe, expect, it, vi } from "vitest";
+import {
+  DB_NAME,
+  DB_VERSION,
+  MIGRATIONS,
+  openDatabase,
+  requestToPromise,
+} from "../public/schema";
+
+const getAll = (db, storeName) =>
+  requestToPromise(db.transaction([storeName], "readonly").objectStore(storeName).getAll());
+
+const putAll = async (db, storeName, records) => {
+  const store = db.transaction([storeName], "readwrite").objectStore(storeName);
+  for (const record of records) await requestToPromise(store.put(record));
+};
+
+// Data as it was stored at `version`: alarms were keyed by createdAt before v3 and
+// triggers were queued in syncQueue before the event log existed (v5)
+async function seed(db, version) {
+  const createdAt = "2024-01-01T08:00:00.000Z";
+  await putAll(db, "alarms", [
+    {
+      ...(version >= 3 ? { id: "home-id" } : {}),
+      createdAt,
+      name: "Home",
+      location: [51.5, -0.12],
+      radius: 100,
+      triggered: false,
+    },
+    {
+      ...(version >= 3 ? { id: "work-id" } : {}),
+      createdAt: "2024-01-02T08:00:00.000Z",
+      name: "Work",
+      location: [51.52, -0.1],
+      radius: 250,
+      triggered: true,
+    },
+  ]);
+  await putAll(db, "locations", [
+    { timestamp: 1000, latitude: 51.5, longitude: -0.12 },
+    { timestamp: 2000, latitude: 51.51, longitude: -0.11 },
+  ]);
+  await putAll(db, "settings", [{ key: "locationRetention", value: { maxRecords: 50 } }]);
+
+  if (version < 5) {
+    await putAll(db, "syncQueue", [
+      {
+        type: "alarm_triggered",
+        data: { alarmId: "work-id", alarmName: "Work", timestamp: 1500 },
+        timestamp: 1500,
+        processed: false,
+      },
+    ]);
+  } else {
+    await putAll(db, "events", [
+      { type: "trigger", alarmId: "work-id", alarmName: "Work", timestamp: 1500, context: "page" },
+    ]);
+  }
+}
+
+const olderVersions = MIGRATIONS.map((m) => m.version).filter((v) => v < DB_VERSION);
+
+describe("migrations", () => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+
+  it.each(olderVersions)("upgrades v%i to the current version keeping the data", async (version) => {
+    const factory = new IDBFactory();
+    const old = await openDatabase(factory, version);
+    await seed(old, version);
+    old.close();
+
+    const db = await openDatabase(factory);
+    expect(db.version).toBe(DB_VERSION);
+    expect([...db.objectStoreNames].sort()).toEqual(
+      ["alarms", "events", "locations", "settings", "sounds", "syncQueue"]
+    );
+
+    const alarms = await getAll(db, "alarms");
+    expect(alarms.map((a) => a.name).sort()).toEqual(["Home", "Work"]);
+    alarms.forEach((alarm) => expect(typeof alarm.id).toBe("string"));
+    expect(alarms.find((a) => a.name === "Work")).toMatchObject({ radius: 250, triggered: true });
+    expect(new Set(alarms.map((a) => a.id)).size).toBe(2);
+
+    expect(await getAll(db, "locations")).toHaveLength(2);
+    expect(await getAll(db, "settings")).toEqual([
+      { key: "locationRetention", value: { maxRecords: 50 } },
+    ]);
+
+    const events = await getAll(db, "events");
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: "trigger", alarmId: "work-id", timestamp: 1500 });
+
+    const alarmIndexes = [...db.transaction(["alarms"]).objectStore("alarms").indexNames];
+    expect(alarmIndexes).toEqual(expect.arrayContaining(["name", "triggered", "createdAt"]));
+    db.close();
+  });
+
+  it("upgrades a v2 database created by the old service worker", async () => {
+    const factory = new IDBFactory();
+    // The old worker created the stores with different indexes than the page
+    const request = factory.open(DB_NAME, 2);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore("locations", { keyPath: "timestamp" }).createIndex("timestamp", "timestamp");
+      db.createObjectStore("alarms", { keyPath: "createdAt" }).createIndex("createdAt", "createdAt", {
+        unique: true,
+      });
+      db.createObjectStore("settings", { keyPath: "key" });
+      db.createObjectStore("syncQueue", { keyPath: "id", autoIncrement: true });
+    };
+    const old = await requestToPromise(request);
+    await seed(old, 2);
+    old.close();
+
+    const db = await openDatabase(factory);
+    expect(db.version).toBe(DB_VERSION);
+    expect(await getAll(db, "alarms")).toHaveLength(2);
+    expect(await getAll(db, "events")).toHaveLength(1);
+    db.close();
+  });
+});
+
+describe("openDatabase", () => {
+  vi.spyOn(console, "log").mockImplementation(() => {});
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+
+  it("closes an open connection when another context upgrades", async () => {
+    const factory = new IDBFactory();
+    const onClose = vi.fn();
+    const old = await openDatabase(factory, DB_VERSION - 1, { onClose });
+
+    const db = await openDatabase(factory);
+    expect(db.version).toBe(DB_VERSION);
+    expect(onClose).toHaveBeenCalledWith(old);
+    db.close();
+  });
+
+  it("reports an upgrade held up by a connection that doesn't close", async () => {
+    const factory = new IDBFactory();
+    const old = await requestToPromise(factory.open(DB_NAME, 1));
+    const onBlocked = vi.fn(() => old.close());
+
+    const db = await openDatabase(factory, DB_VERSION, { onBlocked });
+    expect(onBlocked).toHaveBeenCalled();
+    expect(db.version).toBe(DB_VERSION);
+    db.close();
+  });
+});
@@ -0,0 +1,119 @@
+// alarmStats.js - Per-alarm statistics from the event log and the location track
+import {
+  getDistanceOutside,
+  getThresholds,
+  getMotionFromLocations,
+} from "../public/geofence";
+
+// A trigger followed by leaving the zone again this quickly counts as a false trigger
+export const QUICK_EXIT_MS = 3 * 60 * 1000;
+
+// Older logs can hold the same trigger from both the page and the service worker,
+// a trigger from the other context this close to the previous one is that duplicate
+export const DUPLICATE_TRIGGER_MS = 30 * 1000;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const minuteOfDay = (timestamp) => {
+  const date = new Date(timestamp);
+  return date.getHours() * 60 + date.getMinutes();
+};
+
+// Average of clock times on a circle, so 23:50 and 00:10 average to 00:00
+function averageMinuteOfDay(timestamps) {
+  if (timestamps.length === 0) return null;
+
+  let x = 0;
+  let y = 0;
+  timestamps.forEach((timestamp) => {
+    const angle = (minuteOfDay(timestamp) / MINUTES_PER_DAY) * 2 * Math.PI;
+    x += Math.cos(angle);
+    y += Math.sin(angle);
+  });
+
+  const angle = Math.atan2(y, x);
+  const minutes = Math.round((angle / (2 * Math.PI)) * MINUTES_PER_DAY);
+  return (minutes + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+const average = (values) =>
+  values.length === 0 ? null : values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// Whether the track shows the trigger undone within QUICK_EXIT_MS: back out of the zone
+// for arrival alarms, back inside for exit alarms. null when there is no track to tell.
+function isQuickExit(alarm, trigger, locations) {
+  const after = locations.filter(
+    (l) => l.timestamp > trigger.timestamp && l.timestamp - trigger.timestamp <= QUICK_EXIT_MS
+  );
+  if (after.length === 0) return null;
+
+  const { exitMargin } = getThresholds(alarm);
+  return after.some((l) => {
+    const outside = getDistanceOutside([l.latitude, l.longitude], alarm);
+    return alarm.triggerMode === "exit" ? outside < 0 : outside > exitMargin;
+  });
+}
+
+// Sorted triggers with the other context's copy of the same trigger dropped
+function collapseDuplicateTriggers(triggers) {
+  return triggers.reduce((kept, trigger) => {
+    const previous = kept[kept.length - 1];
+    const isDuplicate =
+      previous &&
+      previous.context !== trigger.context &&
+      trigger.timestamp - previous.timestamp <= DUPLICATE_TRIGGER_MS;
+    return isDuplicate ? kept : [...kept, trigger];
+  }, []);
+}
+
+// Stats for one alarm.
+// events: the alarm event log (any order), locations: stored location records (any order).
+export function computeAlarmStats(alarm, events, locations) {
+  const triggers = collapseDuplicateTriggers(
+    events
+      .filter((e) => e.type === "trigger" && e.alarmId === alarm.id)
+      .sort((a, b) => a.timestamp - b.timestamp)
+  );
+  const track = locations
+    .filter((l) => Number.isFinite(l.latitude) && Number.isFinite(l.longitude))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  // Speed over the couple of minutes before each trigger
+  const approachSpeeds = triggers
+    .map((t) => getMotionFromLocations(
+      track.filter((l) => l.timestamp <= t.timestamp),
+      t.timestamp
+    ).speed)
+    .filter(Number.isFinite);
+
+  // Route and ETA alarms fire away from the zone, so a quick exit says nothing about them
+  const checksExit = alarm.shape !== "route" && alarm.triggerMode !== "eta";
+  const exitChecks = checksExit
+    ? triggers.map((t) => isQuickExit(alarm, t, track)).filter((r) => r !== null)
+    : [];
+
+  const hourCounts = new Array(24).fill(0);
+  triggers.forEach((t) => {
+    hourCounts[new Date(t.timestamp).getHours()]++;
+  });
+
+  const last = triggers[triggers.length - 1] || null;
+
+  return {
+    timesTriggered: triggers.length,
+    firstTriggeredAt: triggers.length ? triggers[0].timestamp : null,
+    lastTriggeredAt: last ? last.timestamp : null,
+    averageMinuteOfDay: averageMinuteOfDay(triggers.map((t) => t.timestamp)),
+    hourCounts,
+    averageApproachSpeed: average(approachSpeeds),
+    approachSamples: approachSpeeds.length,
+    averageTriggerDistance: average(triggers.map((t) => t.distance).filter(Number.isFinite)),
+    falseTriggers: exitChecks.filter(Boolean).length,
+    falseTriggerRate: exitChecks.length
+      ? exitChecks.filter(Boolean).length / exitChecks.length
+      : null,
+    exitChecks: exitChecks.length,
+    lastTriggerAccuracy: last && Number.isFinite(last.accuracy) ? last.accuracy : null,
+    dismissals: events.filter((e) => e.type === "dismiss" && e.alarmId === alarm.id).length,
+  };
+}
@@ -0,0 +1,92 @@
+// alertProfile.js - How an alarm sounds when it fires
+// alarm.alert = { ringing, tone, soundId, soundName, speak, message, voiceURI, rate, pitch,
+// volume, snoozeMinutes }. Alarms without a profile keep the default spoken alert.
+import { DEFAULT_SNOOZE_MINUTES } from "../public/geofence";
+
+// Built-in tone patterns: notes of { frequency (Hz), duration and gap (s), wave }
+export const TONE_PATTERNS = {
+  beep: {
+    label: "Beep",
+    notes: [
+      { frequency: 800, duration: 0.3, gap: 0.15, wave: "sine" },
+      { frequency: 1000, duration: 0.3, gap: 0, wave: "sine" },
+    ],
+  },
+  chime: {
+    label: "Chime",
+    notes: [
+      { frequency: 659, duration: 0.4, gap: 0.05, wave: "triangle" },
+      { frequency: 784, duration: 0.4, gap: 0.05, wave: "triangle" },
+      { frequency: 1047, duration: 0.8, gap: 0, wave: "triangle" },
+    ],
+  },
+  siren: {
+    label: "Siren",
+    notes: [
+      { frequency: 600, duration: 0.35, gap: 0, wave: "sawtooth" },
+      { frequency: 900, duration: 0.35, gap: 0, wave: "sawtooth" },
+      { frequency: 600, duration: 0.35, gap: 0, wave: "sawtooth" },
+      { frequency: 900, duration: 0.35, gap: 0, wave: "sawtooth" },
+    ],
+  },
+  pulse: {
+    label: "Pulse",
+    notes: [
+      { frequency: 880, duration: 0.12, gap: 0.08, wave: "square" },
+      { frequency: 880, duration: 0.12, gap: 0.08, wave: "square" },
+      { frequency: 880, duration: 0.12, gap: 0.4, wave: "square" },
+      { frequency: 880, duration: 0.12, gap: 0.08, wave: "square" },
+      { frequency: 880, duration: 0.12, gap: 0.08, wave: "square" },
+      { frequency: 880, duration: 0.12, gap: 0, wave: "square" },
+    ],
+  },
+};
+
+// tone: 'none' (voice only), a TONE_PATTERNS key, or 'custom' for the uploaded soundId.
+// An empty message means the default text for the trigger mode.
+// ringing: keep sounding until the user stops or snoozes it in the full-screen overlay.
+// snoozeMinutes: what the notification's Snooze action uses and the overlay offers first.
+export const DEFAULT_ALERT_PROFILE = {
+  ringing: false,
+  tone: "none",
+  soundId: null,
+  soundName: null,
+  speak: true,
+  message: "",
+  voiceURI: "",
+  rate: 1,
+  pitch: 1,
+  volume: 1,
+  snoozeMinutes: DEFAULT_SNOOZE_MINUTES,
+};
+
+export const SNOOZE_OPTIONS = [5, 10, 15, 30, 60];
+
+export const MESSAGE_PLACEHOLDERS = ["{name}", "{distance}", "{time}"];
+
+// Uploaded sounds are kept in IndexedDB, so keep them small
+export const MAX_SOUND_BYTES = 5 * 1024 * 1024;
+
+const formatDistance = (meters) =>
+  !Number.isFinite(meters)
+    ? "an unknown distance"
+    : meters >= 1000
+    ? `${(meters / 1000).toFixed(1)} kilometers`
+    : `${Math.round(meters)} meters`;
+
+// Fill {name}, {distance} and {time} in a message template, unknown placeholders are left as typed
+export function formatAlertMessage(template, { name, distance, time = new Date() }) {
+  const values = {
+    name: name || "Unknown Location",
+    distance: formatDistance(distance),
+    time: time.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }),
+  };
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? values[key] : match
+  );
+}
+
+export const getAlertProfile = (alarm) => ({
+  ...DEFAULT_ALERT_PROFILE,
+  ...((alarm && alarm.alert) || {}),
+});
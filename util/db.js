@@ -1,8 +1,145 @@
+import {
+  DB_NAME,
+  DB_VERSION,
+  openDatabase,
+  generateId,
+  ALARM_GROUPS_KEY,
+  getLocationRetention,
+  pruneLocations,
+  recordEvent,
+  getLatestLocations
+} from '../public/schema';
+import { toGeoJSON } from './geoExport';
+import { DEFAULT_ALERT_PROFILE } from './alertProfile';
+import { getDistance, getBearing, getMotionFromLocations, isValidSchedule } from '../public/geofence';
+
+// Backup files are tagged so an unrelated JSON file is rejected on import
+const BACKUP_FORMAT = 'geoalarm-backup';
+const BACKUP_VERSION = 1;
+
+// Settings written by the service worker itself, never exported
+const INTERNAL_SETTINGS = ['sw_version'];
+
+// Built-in tone for imported alarms whose uploaded sound isn't in the backup or on this device
+const MISSING_SOUND_TONE = 'beep';
+
+const isCoordinate = (point) =>
+  Array.isArray(point) && point.length >= 2 &&
+  Number.isFinite(point[0]) && Number.isFinite(point[1]);
+
+// Check that an alarm from a backup has a usable zone and schedule
+function isValidAlarm(alarm) {
+  if (!alarm || typeof alarm !== 'object' || typeof alarm.name !== 'string') {
+    return false;
+  }
+  // Backups skip the editor, so catch schedules it would not have allowed
+  if (alarm.schedule && !isValidSchedule(alarm.schedule)) {
+    return false;
+  }
+  if (alarm.shape === 'polygon') {
+    return Array.isArray(alarm.polygon) && alarm.polygon.length >= 3 &&
+      alarm.polygon.every(isCoordinate);
+  }
+  if (alarm.shape === 'route') {
+    return Array.isArray(alarm.stops) && alarm.stops.length >= 2 &&
+      alarm.stops.every(stop => stop && isCoordinate(stop.location));
+  }
+  return isCoordinate(alarm.location) && Number.isFinite(alarm.radius) && alarm.radius > 0;
+}
+
+// Groups from a backup added to the existing ones, the backup's copy wins on the same id
+function mergeGroups(existing, imported) {
+  const groups = new Map((existing || []).map(group => [group.id, group]));
+  imported
+    .filter(group => group && group.id && typeof group.name === 'string')
+    .forEach(group => groups.set(group.id, group));
+  return Array.from(groups.values());
+}
+
+// Uploaded sounds travel in backups as base64, so the file stays plain JSON
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // In chunks, a whole file is too many arguments for String.fromCharCode
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Sound record from a backup entry, null when its data can't be decoded
+function soundFromBackup(sound) {
+  if (!sound || typeof sound.id !== 'string' || typeof sound.data !== 'string') return null;
+  try {
+    const binary = atob(sound.data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return {
+      id: sound.id,
+      name: sound.name || 'Sound',
+      type: sound.type || '',
+      blob: new Blob([bytes], { type: sound.type || '' }),
+      size: bytes.length,
+      createdAt: sound.createdAt || Date.now()
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Older backups store only part of the alert profile, fill in the rest. An alarm whose
+// uploaded sound is missing falls back to a built-in tone
+function withAlertProfile(alarm, soundIds) {
+  if (!alarm.alert) return alarm;
+  const alert = { ...DEFAULT_ALERT_PROFILE, ...alarm.alert };
+  if (alert.tone === 'custom' && !soundIds.has(alert.soundId)) {
+    return { ...alarm, alert: { ...alert, tone: MISSING_SOUND_TONE, soundId: null, soundName: null } };
+  }
+  return { ...alarm, alert };
+}
+
+// Validate a parsed backup file, throws with a readable message when it can't be imported
+function validateBackup(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Backup file is not a valid GeoAlarm backup');
+  }
+
+  // Exports made before the format was versioned only carry alarms, settings and locations
+  const isLegacy = data.format === undefined && Array.isArray(data.alarms) && data.exportedAt;
+  if (!isLegacy && data.format !== BACKUP_FORMAT) {
+    throw new Error('Backup file is not a valid GeoAlarm backup');
+  }
+  if (!isLegacy && data.schemaVersion > DB_VERSION) {
+    throw new Error('Backup was made by a newer version of GeoAlarm, please update the app first');
+  }
+  if (!Array.isArray(data.alarms)) {
+    throw new Error('Backup file has no alarm list');
+  }
+  if (data.locations !== undefined && !Array.isArray(data.locations)) {
+    throw new Error('Backup file has an invalid location history');
+  }
+  if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+    throw new Error('Backup file has invalid settings');
+  }
+  if (data.sounds !== undefined && !Array.isArray(data.sounds)) {
+    throw new Error('Backup file has invalid sounds');
+  }
+
+  return {
+    alarms: data.alarms,
+    locations: data.locations || [],
+    settings: data.settings || {},
+    sounds: data.sounds || [],
+    schemaVersion: isLegacy ? null : data.schemaVersion,
+    exportedAt: data.exportedAt || null
+  };
+}
+
 // Enhanced IndexedDB utility class for GeoAlarm
 class GeoAlarmDB {
   constructor() {
-    this.dbName = 'GeoAlarmDB';
-    this.version = 2;
+    this.dbName = DB_NAME;
+    this.version = DB_VERSION;
     this.db = null;
   }
 
@@ -10,53 +147,16 @@ class GeoAlarmDB {
   async open() {
     if (this.db) return this.db;
 
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, this.version);
-      
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        this.db = request.result;
-        resolve(this.db);
-      };
-      
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        
-        // Create locations store
-        if (!db.objectStoreNames.contains('locations')) {
-          const locationsStore = db.createObjectStore('locations', { 
-            keyPath: 'timestamp' 
-          });
-          locationsStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
-        
-        // Create alarms store
-        if (!db.objectStoreNames.contains('alarms')) {
-          const alarmsStore = db.createObjectStore('alarms', { 
-            keyPath: 'createdAt'
-          });
-          alarmsStore.createIndex('name', 'name', { unique: false });
-          alarmsStore.createIndex('triggered', 'triggered', { unique: false });
-        }
-
-        // Create settings store
-        if (!db.objectStoreNames.contains('settings')) {
-          const settingsStore = db.createObjectStore('settings', { 
-            keyPath: 'key' 
-          });
-        }
-
-        // Create sync queue store
-        if (!db.objectStoreNames.contains('syncQueue')) {
-          const syncStore = db.createObjectStore('syncQueue', { 
-            keyPath: 'id',
-            autoIncrement: true 
-          });
-          syncStore.createIndex('timestamp', 'timestamp', { unique: false });
-          syncStore.createIndex('processed', 'processed', { unique: false });
-        }
-      };
+    // Stores and upgrades are defined once in the shared schema
+    const db = await openDatabase(indexedDB, this.version, {
+      // Closed so another context could upgrade, the next call opens the new version
+      onClose: (closed) => {
+        if (this.db === closed) this.db = null;
+      },
+      onBlocked: () => console.warn('Close other GeoAlarm tabs to finish the database upgrade')
     });
+    this.db = db;
+    return this.db;
   }
 
   // Generic method to perform transactions
@@ -73,23 +173,65 @@ class GeoAlarmDB {
     }
   }
 
-  // Save alarms
-  async saveAlarms(alarms) {
-    return this.performTransaction('alarms', 'readwrite', async (store) => {
-      // Clear existing alarms
-      await this.clearStore(store);
-      
-      // Add new alarms
-      const promises = alarms.map(alarm => this.addRecord(store, {
+  // Add a single alarm, starting its revision counter at 1
+  async addAlarm(alarm) {
+    const record = await this.performTransaction('alarms', 'readwrite', async (store) => {
+      const newRecord = {
         ...alarm,
-        syncedAt: Date.now()
-      }));
-      
-      await Promise.all(promises);
-      console.log('Alarms saved to IndexedDB:', alarms.length);
+        id: alarm.id || generateId(),
+        revision: 1,
+        updatedAt: Date.now()
+      };
+      await this.addRecord(store, newRecord);
+      return newRecord;
+    });
+    
+    console.log('Alarm added to IndexedDB:', record.name);
+    this.syncWithServiceWorker('ALARM_ADDED', { alarm: record });
+    return record;
+  }
+
+  // Apply changes to one alarm and bump its revision, returns null if it no longer exists
+  async updateAlarm(id, changes) {
+    const record = await this.performTransaction('alarms', 'readwrite', async (store) => {
+      const existing = await this.getRecord(store, id);
+      if (!existing) return null;
       
-      // Sync with service worker
-      this.syncWithServiceWorker('SYNC_ALARMS', { alarms });
+      const updated = {
+        ...existing,
+        ...changes,
+        id,
+        revision: (existing.revision || 0) + 1,
+        updatedAt: Date.now()
+      };
+      await this.putRecord(store, updated);
+      return updated;
+    });
+    
+    if (record) {
+      this.syncWithServiceWorker('ALARM_UPDATED', { alarm: record });
+    }
+    return record;
+  }
+
+  // Delete one alarm, resolves to false when it was already gone
+  async deleteAlarm(id) {
+    const existed = await this.performTransaction('alarms', 'readwrite', async (store) => {
+      const existing = await this.getRecord(store, id);
+      if (existing) await this.deleteRecord(store, id);
+      return !!existing;
+    });
+    
+    console.log('Alarm deleted from IndexedDB:', id);
+    this.syncWithServiceWorker('ALARM_DELETED', { alarmId: id });
+    return existed;
+  }
+
+  // Get one alarm by id
+  async getAlarm(id) {
+    return this.performTransaction('alarms', 'readonly', async (store) => {
+      const alarm = await this.getRecord(store, id);
+      return alarm || null;
     });
   }
 
@@ -128,8 +270,58 @@ class GeoAlarmDB {
     });
   }
 
-  // Save location update
+  // Store an uploaded alarm sound, resolves to its id for alarm.alert.soundId
+  async saveSound(file) {
+    return this.performTransaction('sounds', 'readwrite', async (store) => {
+      const record = {
+        id: generateId(),
+        name: file.name || 'Sound',
+        type: file.type,
+        blob: file,
+        size: file.size,
+        createdAt: Date.now()
+      };
+      await this.addRecord(store, record);
+      return record.id;
+    });
+  }
+
+  // Get an uploaded sound's Blob, null when it is gone
+  async getSound(id) {
+    return this.performTransaction('sounds', 'readonly', async (store) => {
+      const record = await this.getRecord(store, id);
+      return record ? record.blob : null;
+    });
+  }
+
+  // Uploaded sounds used by the given alarms, base64 encoded for a backup file
+  async exportSounds(alarms) {
+    const used = new Set(alarms.map(alarm => alarm.alert && alarm.alert.soundId).filter(Boolean));
+    const sounds = await this.performTransaction('sounds', 'readonly', store => this.getAllRecords(store));
+    
+    return Promise.all(sounds
+      .filter(sound => used.has(sound.id))
+      .map(async ({ blob, ...sound }) => ({ ...sound, data: await blobToBase64(blob) })));
+  }
+
+  // Delete uploaded sounds no alarm uses anymore
+  async deleteUnusedSounds() {
+    const alarms = await this.loadAlarms();
+    const used = new Set(alarms.map(alarm => alarm.alert && alarm.alert.soundId).filter(Boolean));
+    
+    return this.performTransaction('sounds', 'readwrite', async (store) => {
+      const sounds = await this.getAllRecords(store);
+      const unused = sounds.filter(sound => !used.has(sound.id));
+      await Promise.all(unused.map(sound => this.deleteRecord(store, sound.id)));
+      return unused.length;
+    });
+  }
+
+  // Save location update, returns null when history recording is turned off
   async saveLocationUpdate(location, metadata = {}) {
+    const retention = await getLocationRetention(await this.open());
+    if (!retention.enabled) return null;
+
     return this.performTransaction('locations', 'readwrite', async (store) => {
       const locationData = {
         timestamp: Date.now(),
@@ -142,24 +334,49 @@ class GeoAlarmDB {
       };
       
       await this.addRecord(store, locationData);
-      
-      // Clean up old locations (keep only last 100)
-      await this.cleanupOldLocations(store);
+      await pruneLocations(store, retention);
       
       return locationData;
     });
   }
 
-  // Get recent locations
+  // Get the full location history, oldest first
+  async getAllLocations() {
+    return this.performTransaction('locations', 'readonly', async (store) => {
+      return this.getAllRecords(store);
+    });
+  }
+
+  // Get recent locations, newest first
   async getRecentLocations(limit = 10) {
     return this.performTransaction('locations', 'readonly', async (store) => {
-      const locations = await this.getAllRecords(store);
-      return locations
-        .sort((a, b) => b.timestamp - a.timestamp)
-        .slice(0, limit);
+      return getLatestLocations(store, limit);
+    });
+  }
+
+  // Apply the retention setting to the stored history now, e.g. after it was tightened
+  async pruneLocationHistory() {
+    const retention = await getLocationRetention(await this.open());
+    return this.performTransaction('locations', 'readwrite', async (store) => {
+      const deleted = await pruneLocations(store, retention);
+      if (deleted > 0) console.log(`Pruned ${deleted} old location records`);
+      return deleted;
     });
   }
 
+  // Delete the whole location history
+  async clearLocationHistory() {
+    return this.performTransaction('locations', 'readwrite', async (store) => {
+      await this.clearStore(store);
+    });
+  }
+
+  // Current speed and heading estimated from the latest location records
+  async getRecentMotion(limit = 20) {
+    const locations = await this.getRecentLocations(limit);
+    return getMotionFromLocations(locations);
+  }
+
   // Add to sync queue
   async addToSyncQueue(type, data) {
     return this.performTransaction('syncQueue', 'readwrite', async (store) => {
@@ -185,6 +402,53 @@ class GeoAlarmDB {
     });
   }
 
+  // Append to the alarm event log, details are position, accuracy, distance and
+  // anything specific to the event type (e.g. the reset reason)
+  async logEvent(type, alarm, details = {}) {
+    try {
+      return await recordEvent(await this.open(), {
+        type,
+        alarmId: alarm.id,
+        alarmName: alarm.name,
+        context: 'page',
+        ...details
+      });
+    } catch (error) {
+      // The log is for auditing, never let it break the alarm itself
+      console.error('Failed to log alarm event:', error);
+      return null;
+    }
+  }
+
+  // The whole event log, newest first
+  async getEvents() {
+    return this.performTransaction('events', 'readonly', async (store) => {
+      const events = await this.getAllRecordsByIndex(store.index('timestamp'));
+      return events.reverse();
+    });
+  }
+
+  async clearEvents() {
+    return this.performTransaction('events', 'readwrite', async (store) => {
+      await this.clearStore(store);
+    });
+  }
+
+  // Alarm triggers from the event log, oldest first
+  async getTriggerHistory() {
+    return this.performTransaction('events', 'readonly', async (store) => {
+      const triggers = await this.getAllRecordsByIndex(store.index('type'), 'trigger');
+      return triggers
+        .map(event => ({
+          alarmId: event.alarmId,
+          alarmName: event.alarmName,
+          timestamp: event.timestamp,
+          location: event.position || null
+        }))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    });
+  }
+
   // Mark sync item as processed
   async markSyncItemProcessed(id) {
     return this.performTransaction('syncQueue', 'readwrite', async (store) => {
@@ -197,27 +461,6 @@ class GeoAlarmDB {
     });
   }
 
-  // Clean up old locations
-  async cleanupOldLocations(store, maxRecords = 100) {
-    try {
-      const allRecords = await this.getAllRecords(store);
-      if (allRecords.length > maxRecords) {
-        // Sort by timestamp and remove oldest
-        allRecords.sort((a, b) => a.timestamp - b.timestamp);
-        const recordsToDelete = allRecords.slice(0, allRecords.length - maxRecords);
-        
-        const promises = recordsToDelete.map(record => 
-          this.deleteRecord(store, record.timestamp)
-        );
-        await Promise.all(promises);
-        
-        console.log(`Cleaned up ${recordsToDelete.length} old location records`);
-      }
-    } catch (error) {
-      console.error('Failed to cleanup old locations:', error);
-    }
-  }
-
   // Clean up old sync queue items
   async cleanupSyncQueue(maxAge = 86400000) { // 24 hours
     return this.performTransaction('syncQueue', 'readwrite', async (store) => {
@@ -314,7 +557,7 @@ class GeoAlarmDB {
       const db = await this.open();
       const stats = {};
       
-      const stores = ['alarms', 'locations', 'settings', 'syncQueue'];
+      const stores = ['alarms', 'locations', 'settings', 'syncQueue', 'events', 'sounds'];
       
       for (const storeName of stores) {
         const transaction = db.transaction([storeName], 'readonly');
@@ -338,14 +581,22 @@ class GeoAlarmDB {
   // Export data for backup
   async exportData() {
     try {
+      const settings = await this.loadSettings();
+      INTERNAL_SETTINGS.forEach(key => delete settings[key]);
+      
+      const alarms = await this.loadAlarms();
       const data = {
-        alarms: await this.loadAlarms(),
-        settings: await this.loadSettings(),
-        locations: await this.getRecentLocations(50),
-        exportedAt: new Date().toISOString()
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: this.version,
+        exportedAt: new Date().toISOString(),
+        alarms,
+        settings,
+        locations: await this.getAllLocations(),
+        sounds: await this.exportSounds(alarms)
       };
       
-      console.log('Data exported:', data);
+      console.log('Data exported:', data.alarms.length, 'alarms,', data.locations.length, 'locations,', data.sounds.length, 'sounds');
       return data;
     } catch (error) {
       console.error('Failed to export data:', error);
@@ -353,19 +604,136 @@ class GeoAlarmDB {
     }
   }
 
-  // Import data from backup
-  async importData(data) {
+  // Export one group's alarms as a backup file that carries just that group.
+  // groupId null exports the ungrouped alarms.
+  async exportGroup(groupId) {
+    try {
+      const settings = await this.loadSettings();
+      const knownGroups = settings[ALARM_GROUPS_KEY] || [];
+      const groups = knownGroups.filter(group => group.id === groupId);
+      // Same membership as the alarm list: an alarm of a deleted group counts as ungrouped
+      const alarms = (await this.loadAlarms()).filter(alarm =>
+        groupId
+          ? alarm.groupId === groupId
+          : !knownGroups.some(group => group.id === alarm.groupId)
+      );
+      
+      return {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: this.version,
+        exportedAt: new Date().toISOString(),
+        alarms,
+        settings: groups.length > 0 ? { [ALARM_GROUPS_KEY]: groups } : {},
+        locations: [],
+        sounds: await this.exportSounds(alarms)
+      };
+    } catch (error) {
+      console.error('Failed to export group:', error);
+      throw error;
+    }
+  }
+
+  // Export alarms and location history as a GeoJSON FeatureCollection.
+  // trackAs 'line' writes the history as one LineString, 'points' as one Point per fix.
+  async exportGeoJSON({ trackAs = 'line', locationLimit = Infinity } = {}) {
     try {
-      if (data.alarms) {
-        await this.saveAlarms(data.alarms);
+      const alarms = await this.loadAlarms();
+      const locations = await this.getRecentLocations(locationLimit);
+      return toGeoJSON(alarms, locations, { trackAs });
+    } catch (error) {
+      console.error('Failed to export GeoJSON:', error);
+      throw error;
+    }
+  }
+
+  // Import data from backup.
+  // mode 'merge' keeps existing alarms and takes the newer copy when an id exists on both sides,
+  // mode 'replace' deletes every alarm and location first.
+  // Returns a report of what was imported.
+  async importData(data, { mode = 'merge' } = {}) {
+    try {
+      const backup = validateBackup(data);
+      const report = { added: 0, updated: 0, kept: 0, renamed: 0, invalid: 0, locations: 0, settings: 0, sounds: 0 };
+      
+      if (mode === 'replace') {
+        const existingAlarms = await this.loadAlarms();
+        for (const alarm of existingAlarms) {
+          await this.deleteAlarm(alarm.id);
+        }
+        await this.performTransaction('locations', 'readwrite', async (store) => {
+          await this.clearStore(store);
+        });
       }
       
-      if (data.settings) {
-        await this.saveSettings(data.settings);
+      // Sounds first, so the alarms below can tell which of their sounds exist
+      const sounds = backup.sounds.map(soundFromBackup).filter(Boolean);
+      if (sounds.length > 0) {
+        await this.performTransaction('sounds', 'readwrite', async (store) => {
+          await Promise.all(sounds.map(sound => this.putRecord(store, sound)));
+        });
+        report.sounds = sounds.length;
       }
+      const soundIds = new Set(await this.performTransaction('sounds', 'readonly', async (store) =>
+        (await this.getAllRecords(store)).map(sound => sound.id)
+      ));
       
-      console.log('Data imported successfully');
-      return true;
+      const seenIds = new Set();
+      
+      for (const backupAlarm of backup.alarms) {
+        if (!isValidAlarm(backupAlarm)) {
+          report.invalid++;
+          continue;
+        }
+        const alarm = withAlertProfile(backupAlarm, soundIds);
+        
+        // The same id twice in one file: keep both, the second one as a new alarm
+        let id = alarm.id;
+        if (id && seenIds.has(id)) {
+          id = generateId();
+          report.renamed++;
+        }
+        if (id) seenIds.add(id);
+        
+        const existing = id ? await this.getAlarm(id) : null;
+        
+        if (!existing) {
+          await this.addAlarm({ ...alarm, id });
+          report.added++;
+        } else if ((alarm.updatedAt || 0) > (existing.updatedAt || 0)) {
+          await this.updateAlarm(id, alarm);
+          report.updated++;
+        } else {
+          report.kept++;
+        }
+      }
+      
+      const locations = backup.locations.filter(location =>
+        Number.isFinite(location.timestamp) &&
+        Number.isFinite(location.latitude) &&
+        Number.isFinite(location.longitude)
+      );
+      if (locations.length > 0) {
+        await this.performTransaction('locations', 'readwrite', async (store) => {
+          await Promise.all(locations.map(location => this.putRecord(store, location)));
+        });
+        report.locations = locations.length;
+      }
+      
+      const settings = { ...backup.settings };
+      INTERNAL_SETTINGS.forEach(key => delete settings[key]);
+      // Merging a group export must not drop the groups already here
+      if (mode === 'merge' && Array.isArray(settings[ALARM_GROUPS_KEY])) {
+        const existing = (await this.loadSettings())[ALARM_GROUPS_KEY];
+        settings[ALARM_GROUPS_KEY] = mergeGroups(existing, settings[ALARM_GROUPS_KEY]);
+      }
+      if (Object.keys(settings).length > 0) {
+        await this.saveSettings(settings);
+        report.settings = Object.keys(settings).length;
+      }
+      
+      console.log('Data imported successfully:', report);
+      return report;
     } catch (error) {
       console.error('Failed to import data:', error);
       throw error;
@@ -526,6 +894,9 @@ class LocationManager {
     this.lastKnownLocation = null;
     this.lastLocationTime = null;
     this.isTracking = false;
+    // Kalman filter state for smoothing GPS jitter
+    this.filter = null;
+    this.processNoise = 3; // expected movement in m/s, higher follows fast travel sooner
     this.callbacks = {
       onLocationUpdate: null,
       onError: null
@@ -570,22 +941,78 @@ class LocationManager {
       this.watchId = null;
     }
     this.isTracking = false;
+    this.resetSmoothing();
     console.log('Stopped location tracking');
   }
 
+  // Smooth a position fix with a Kalman filter weighted by the reported accuracy.
+  // Precise fixes move the estimate a lot, noisy ones barely; the uncertainty grows
+  // with time since the last fix so real movement is still followed.
+  // Returns the smoothed location, its estimated accuracy in meters and the
+  // speed (m/s) and heading (degrees) - from the device when it reports them,
+  // otherwise derived from the movement of the smoothed location.
+  smoothPosition(position) {
+    const { latitude, longitude } = position.coords;
+    const accuracy = Math.max(position.coords.accuracy || 1, 1);
+    const timestamp = position.timestamp || Date.now();
+    const previous = this.filter;
+
+    if (!this.filter) {
+      this.filter = { latitude, longitude, variance: accuracy * accuracy, timestamp };
+    } else {
+      const elapsed = Math.max(timestamp - this.filter.timestamp, 0) / 1000;
+      const variance = this.filter.variance + elapsed * this.processNoise * this.processNoise;
+      const gain = variance / (variance + accuracy * accuracy);
+
+      this.filter = {
+        latitude: this.filter.latitude + gain * (latitude - this.filter.latitude),
+        longitude: this.filter.longitude + gain * (longitude - this.filter.longitude),
+        variance: (1 - gain) * variance,
+        timestamp
+      };
+    }
+
+    const location = [this.filter.latitude, this.filter.longitude];
+    let speed = Number.isFinite(position.coords.speed) ? position.coords.speed : null;
+    let heading = Number.isFinite(position.coords.heading) ? position.coords.heading : null;
+
+    if (previous && timestamp > previous.timestamp) {
+      const from = [previous.latitude, previous.longitude];
+      const moved = getDistance(from, location);
+      if (speed === null) speed = moved / ((timestamp - previous.timestamp) / 1000);
+      // Bearings between nearly identical points are noise
+      if (heading === null && moved > 2) heading = getBearing(from, location);
+    }
+
+    return {
+      location,
+      accuracy: Math.sqrt(this.filter.variance),
+      speed,
+      heading,
+      rawLocation: [latitude, longitude],
+      rawAccuracy: position.coords.accuracy
+    };
+  }
+
+  // Forget the filter state, e.g. after tracking was off for a while
+  resetSmoothing() {
+    this.filter = null;
+  }
+
   // Handle location update
   handleLocationUpdate(position) {
-    const location = [position.coords.latitude, position.coords.longitude];
+    const { location, accuracy, speed, heading } = this.smoothPosition(position);
     this.lastKnownLocation = location;
     this.lastLocationTime = Date.now();
 
-    console.log('Location updated:', location, `accuracy: ${position.coords.accuracy}m`);
+    console.log('Location updated:', location, `accuracy: ${Math.round(accuracy)}m (raw ${position.coords.accuracy}m)`);
 
     if (this.callbacks.onLocationUpdate) {
       this.callbacks.onLocationUpdate(location, {
-        accuracy: position.coords.accuracy,
-        speed: position.coords.speed,
-        heading: position.coords.heading,
+        accuracy,
+        rawAccuracy: position.coords.accuracy,
+        speed,
+        heading,
         timestamp: this.lastLocationTime
       });
     }
@@ -658,4 +1085,4 @@ class LocationManager {
 }
 
 // Export classes for use in main app
-export { GeoAlarmDB, ServiceWorkerManager, LocationManager };
\ No newline at end of file
+export { GeoAlarmDB, ServiceWorkerManager, LocationManager, generateId, validateBackup };
\ No newline at end of file
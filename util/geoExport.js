@@ -0,0 +1,128 @@
+// geoExport.js - Convert alarms and location history to GeoJSON for GIS tools
+// GeoJSON positions are [longitude, latitude], the app stores [latitude, longitude].
+
+const toPosition = ([lat, lng]) => [lng, lat];
+
+// Alarm properties shared by point and polygon features
+function alarmProperties(alarm) {
+  return {
+    featureType: "alarm",
+    id: alarm.id,
+    name: alarm.name,
+    triggerMode: alarm.triggerMode || "enter",
+    dwellMinutes: alarm.dwellMinutes || null,
+    etaMinutes: alarm.etaMinutes || null,
+    type: alarm.type,
+    triggered: !!alarm.triggered,
+    enabled: alarm.enabled !== false,
+    groupId: alarm.groupId || null,
+    createdAt: alarm.createdAt,
+    expiresAt: alarm.expiresAt || null,
+    schedule: alarm.schedule || null,
+  };
+}
+
+// Circle alarms become a Point with a radius property, zones become a Polygon
+// and routes a LineString through their stops
+export function alarmToFeature(alarm) {
+  if (alarm.shape === "route") {
+    return {
+      type: "Feature",
+      geometry: {
+        type: "LineString",
+        coordinates: alarm.stops.map((stop) => toPosition(stop.location)),
+      },
+      properties: {
+        ...alarmProperties(alarm),
+        shape: "route",
+        radius: alarm.radius,
+        stops: alarm.stops.map((stop) => stop.name),
+        routeTrigger: alarm.routeTrigger || null,
+      },
+    };
+  }
+
+  if (alarm.shape === "polygon") {
+    const ring = alarm.polygon.map(toPosition);
+    ring.push(ring[0]); // GeoJSON rings are closed
+
+    return {
+      type: "Feature",
+      geometry: { type: "Polygon", coordinates: [ring] },
+      properties: { ...alarmProperties(alarm), shape: "polygon" },
+    };
+  }
+
+  return {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: toPosition(alarm.location) },
+    properties: { ...alarmProperties(alarm), shape: "circle", radius: alarm.radius },
+  };
+}
+
+// Location history as one LineString, in time order
+export function locationsToLineString(locations) {
+  const sorted = [...locations].sort((a, b) => a.timestamp - b.timestamp);
+  if (sorted.length < 2) return null;
+
+  return {
+    type: "Feature",
+    geometry: {
+      type: "LineString",
+      coordinates: sorted.map((l) => [l.longitude, l.latitude]),
+    },
+    properties: {
+      featureType: "track",
+      pointCount: sorted.length,
+      startTime: new Date(sorted[0].timestamp).toISOString(),
+      endTime: new Date(sorted[sorted.length - 1].timestamp).toISOString(),
+    },
+  };
+}
+
+// Location history as one Point per fix, keeping accuracy, speed and heading
+export function locationsToPoints(locations) {
+  return [...locations]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map((l) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: [l.longitude, l.latitude] },
+      properties: {
+        featureType: "location",
+        timestamp: new Date(l.timestamp).toISOString(),
+        accuracy: l.accuracy ?? null,
+        speed: l.speed ?? null,
+        heading: l.heading ?? null,
+      },
+    }));
+}
+
+// Build a FeatureCollection, trackAs is 'line' or 'points'
+export function toGeoJSON(alarms, locations = [], { trackAs = "line" } = {}) {
+  const alarmFeatures = alarms
+    .filter((alarm) => {
+      if (alarm.shape === "route") {
+        return Array.isArray(alarm.stops) && alarm.stops.length >= 2;
+      }
+      return alarm.shape === "polygon"
+        ? Array.isArray(alarm.polygon) && alarm.polygon.length >= 3
+        : Array.isArray(alarm.location);
+    })
+    .map(alarmToFeature);
+
+  const validLocations = locations.filter(
+    (l) => Number.isFinite(l.latitude) && Number.isFinite(l.longitude)
+  );
+  let trackFeatures;
+  if (trackAs === "points") {
+    trackFeatures = locationsToPoints(validLocations);
+  } else {
+    const line = locationsToLineString(validLocations);
+    trackFeatures = line ? [line] : [];
+  }
+
+  return {
+    type: "FeatureCollection",
+    features: [...alarmFeatures, ...trackFeatures],
+  };
+}
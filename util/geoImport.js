@@ -0,0 +1,117 @@
+// geoImport.js - Parse GPX waypoints and KML placemarks into alarm candidates
+import { getPolygonCenter } from "../public/geofence";
+
+// Namespace-agnostic element lookup (GPX 1.0/1.1 and KML 2.x use different namespaces)
+const findAll = (parent, tagName) =>
+  Array.from(parent.getElementsByTagNameNS("*", tagName));
+
+const findText = (parent, tagName) => {
+  const element = findAll(parent, tagName)[0];
+  return element ? element.textContent.trim() : "";
+};
+
+const isValidPoint = ([lat, lng]) =>
+  Number.isFinite(lat) && Number.isFinite(lng) &&
+  Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("The file is not valid XML");
+  }
+  return doc;
+}
+
+// GPX: every <wpt lat="" lon=""> becomes a circle alarm candidate, followed by
+// route points (<rtept>) in order so they can be turned into a route alarm
+export function parseGpx(text) {
+  const doc = parseXml(text);
+
+  return [...findAll(doc, "wpt"), ...findAll(doc, "rtept")]
+    .map((wpt, index) => {
+      const location = [
+        parseFloat(wpt.getAttribute("lat")),
+        parseFloat(wpt.getAttribute("lon")),
+      ];
+      if (!isValidPoint(location)) return null;
+
+      return {
+        name: findText(wpt, "name") || `Waypoint ${index + 1}`,
+        description: findText(wpt, "desc") || findText(wpt, "cmt"),
+        location,
+      };
+    })
+    .filter(Boolean);
+}
+
+// KML coordinates are "lng,lat[,alt]" tuples separated by whitespace
+function parseKmlCoordinates(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => {
+      const [lng, lat] = tuple.split(",").map(parseFloat);
+      return [lat, lng];
+    })
+    .filter(isValidPoint);
+}
+
+// KML: placemarks with a Point become circles, placemarks with a Polygon become zones
+export function parseKml(text) {
+  const doc = parseXml(text);
+
+  return findAll(doc, "Placemark")
+    .map((placemark, index) => {
+      const name = findText(placemark, "name") || `Placemark ${index + 1}`;
+      const description = findText(placemark, "description");
+
+      const polygonElement = findAll(placemark, "Polygon")[0];
+      if (polygonElement) {
+        // Only the outer ring is used, holes are ignored
+        const ring = findAll(polygonElement, "outerBoundaryIs")[0] || polygonElement;
+        const polygon = parseKmlCoordinates(findText(ring, "coordinates"));
+
+        // KML rings repeat the first vertex at the end
+        const [first] = polygon;
+        const last = polygon[polygon.length - 1];
+        if (polygon.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+          polygon.pop();
+        }
+
+        if (polygon.length < 3) return null;
+        return {
+          name,
+          description,
+          shape: "polygon",
+          polygon,
+          location: getPolygonCenter(polygon),
+        };
+      }
+
+      const pointElement = findAll(placemark, "Point")[0];
+      if (pointElement) {
+        const [location] = parseKmlCoordinates(findText(pointElement, "coordinates"));
+        if (!location) return null;
+        return { name, description, location };
+      }
+
+      // Lines and other geometries can't be turned into an alarm zone
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// Pick the parser from the file extension, falling back to the root element
+export function parseGeoFile(text, fileName = "") {
+  const extension = fileName.split(".").pop().toLowerCase();
+
+  if (extension === "gpx") return parseGpx(text);
+  if (extension === "kml") return parseKml(text);
+
+  const doc = parseXml(text);
+  const root = doc.documentElement.localName;
+  if (root === "gpx") return parseGpx(text);
+  if (root === "kml") return parseKml(text);
+
+  throw new Error("Unsupported file, please choose a GPX or KML file");
+}
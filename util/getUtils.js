@@ -1,4 +1,5 @@
 // getUtils.js - Enhanced version with better iOS compatibility and audio handling
+import { TONE_PATTERNS } from './alertProfile';
 
 let audioContext = null;
 let audioInitialized = false;
@@ -40,8 +41,9 @@ function createAudioContext() {
   }
 }
 
-// Enhanced speech synthesis with iOS fallbacks and queue management
-function speakText(text, priority = false, retryCount = 0) {
+// Enhanced speech synthesis with iOS fallbacks and queue management.
+// voice = { voiceURI, rate, pitch, volume } from an alert profile, null for the platform defaults
+function speakText(text, priority = false, retryCount = 0, voice = null) {
   return new Promise((resolve, reject) => {
     try {
       // Check if speech synthesis is available
@@ -57,11 +59,11 @@ function speakText(text, priority = false, retryCount = 0) {
         if (priority) {
           window.speechSynthesis.cancel();
           // Wait a bit before speaking
-          setTimeout(() => speakText(text, priority, retryCount).then(resolve).catch(reject), 200);
+          setTimeout(() => speakText(text, priority, retryCount, voice).then(resolve).catch(reject), 200);
           return;
         } else {
           // Queue the message
-          speechQueue.push({ text, resolve, reject, retryCount });
+          speechQueue.push({ text, resolve, reject, retryCount, voice });
           return;
         }
       }
@@ -97,6 +99,18 @@ function speakText(text, priority = false, retryCount = 0) {
         utterance.lang = 'en-US';
       }
       
+      if (voice) {
+        utterance.rate = voice.rate;
+        utterance.pitch = voice.pitch;
+        utterance.volume = voice.volume;
+        const chosenVoice = voice.voiceURI &&
+          window.speechSynthesis.getVoices().find(v => v.voiceURI === voice.voiceURI);
+        if (chosenVoice) {
+          utterance.voice = chosenVoice;
+          utterance.lang = chosenVoice.lang;
+        }
+      }
+      
       let hasStarted = false;
       let hasEnded = false;
       let timeoutId;
@@ -119,7 +133,7 @@ function speakText(text, priority = false, retryCount = 0) {
         if (speechQueue.length > 0) {
           const next = speechQueue.shift();
           setTimeout(() => {
-            speakText(next.text, false, next.retryCount).then(next.resolve).catch(next.reject);
+            speakText(next.text, false, next.retryCount, next.voice).then(next.resolve).catch(next.reject);
           }, isIOS() ? 500 : 200);
         }
         
@@ -137,7 +151,7 @@ function speakText(text, priority = false, retryCount = 0) {
           if (retryCount < 3) {
             console.log(`iOS speech retry attempt ${retryCount + 1} for:`, text);
             setTimeout(() => {
-              speakText(text, priority, retryCount + 1).then(resolve).catch(reject);
+              speakText(text, priority, retryCount + 1, voice).then(resolve).catch(reject);
             }, 1000 * (retryCount + 1)); // Exponential backoff
             return;
           }
@@ -148,7 +162,7 @@ function speakText(text, priority = false, retryCount = 0) {
           if (retryCount < 2) {
             console.log(`Retrying speech, attempt ${retryCount + 1}`);
             setTimeout(() => {
-              speakText(text, priority, retryCount + 1).then(resolve).catch(reject);
+              speakText(text, priority, retryCount + 1, voice).then(resolve).catch(reject);
             }, 800);
             return;
           }
@@ -492,10 +506,10 @@ export async function initializeAudio(currentlyInitialized, soundEnabled) {
 }
 
 // Enhanced voice alert with comprehensive iOS support
-export async function playVoiceAlert(locationName) {
+export async function playVoiceAlert(locationName, customMessage = null) {
   console.log('playVoiceAlert called:', locationName, 'audioInitialized:', audioInitialized, 'userInteracted:', userInteracted);
   
-  const message = `Geo alarm triggered. You have reached ${locationName}`;
+  const message = customMessage || `Geo alarm triggered. You have reached ${locationName}`;
   
   // If audio not initialized but user has interacted, try to initialize
   if (!audioInitialized && userInteracted) {
@@ -544,6 +558,188 @@ export async function playVoiceAlert(locationName) {
   }
 }
 
+// Voices the device can speak with, may be empty until the voiceschanged event
+export function getSpeechVoices() {
+  if (typeof window === 'undefined' || !('speechSynthesis' in window)) return [];
+  return window.speechSynthesis.getVoices();
+}
+
+// Play a built-in tone pattern from alertProfile.js TONE_PATTERNS, resolves when it ends
+function playTonePattern(pattern, volume = 1) {
+  if (!audioContext) {
+    audioContext = createAudioContext();
+  }
+  if (!audioContext) return Promise.reject(new Error('AudioContext not available'));
+  if (audioContext.state === 'suspended') {
+    audioContext.resume();
+  }
+  
+  let start = audioContext.currentTime + 0.05;
+  pattern.notes.forEach(note => {
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+    
+    oscillator.connect(gainNode);
+    gainNode.connect(audioContext.destination);
+    
+    oscillator.type = note.wave;
+    oscillator.frequency.setValueAtTime(note.frequency, start);
+    
+    // Short fade in and out so the notes don't click
+    gainNode.gain.setValueAtTime(0, start);
+    gainNode.gain.linearRampToValueAtTime(0.4 * volume, start + 0.02);
+    gainNode.gain.setValueAtTime(0.4 * volume, start + note.duration - 0.05);
+    gainNode.gain.linearRampToValueAtTime(0.001, start + note.duration);
+    
+    oscillator.start(start);
+    oscillator.stop(start + note.duration);
+    start += note.duration + note.gap;
+  });
+  
+  const length = (start - audioContext.currentTime) * 1000;
+  return new Promise(resolve => setTimeout(resolve, length));
+}
+
+// Play an uploaded sound once, resolves when it ends.
+// onStart receives the Audio element so a caller can stop it early.
+function playSoundBlob(blob, volume = 1, onStart = null) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const audio = new Audio(url);
+    audio.volume = volume;
+    if (onStart) onStart(audio);
+    audio.onpause = () => {
+      URL.revokeObjectURL(url);
+      resolve();
+    };
+    
+    const finish = () => {
+      URL.revokeObjectURL(url);
+      resolve();
+    };
+    audio.onended = finish;
+    audio.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not play the uploaded sound'));
+    };
+    audio.play().catch(error => {
+      URL.revokeObjectURL(url);
+      reject(error);
+    });
+  });
+}
+
+// Play an alarm's alert profile: its tone or uploaded sound, then the spoken message.
+// tone is a TONE_PATTERNS entry (null for none), soundBlob the uploaded file for 'custom' profiles.
+// A sound that can't be played falls back to the default beeps.
+export async function playAlertProfile(profile, message, { tone = null, soundBlob = null } = {}) {
+  console.log('playAlertProfile called:', profile.tone, 'audioInitialized:', audioInitialized);
+  
+  if (!audioInitialized && userInteracted) {
+    try {
+      await initializeAudio(false, true);
+    } catch (error) {
+      console.error('Failed to initialize audio during alert:', error);
+    }
+  }
+  
+  try {
+    if (soundBlob) {
+      await playSoundBlob(soundBlob, profile.volume);
+    } else if (tone) {
+      await playTonePattern(tone, profile.volume);
+    } else if (profile.tone === 'custom') {
+      // The uploaded file is missing, e.g. the alarm came from a backup
+      playFallbackSound();
+    }
+  } catch (error) {
+    console.error('Alert sound failed, playing fallback:', error);
+    playFallbackSound();
+  }
+  
+  if (!profile.speak || !message) return;
+  
+  if (!audioInitialized) {
+    pendingAudioMessage = message;
+    return;
+  }
+  
+  try {
+    await speakText(message, true, 0, {
+      voiceURI: profile.voiceURI,
+      rate: profile.rate,
+      pitch: profile.pitch,
+      volume: profile.volume
+    });
+  } catch (error) {
+    console.error('Voice alert failed, playing fallback:', error);
+    playFallbackSound();
+  }
+}
+
+// Ringing alarms start quiet and reach the profile volume after RING_RAMP_MS
+const RING_START_VOLUME = 0.2;
+const RING_RAMP_MS = 30000;
+const RING_PAUSE_MS = 1000;
+const RING_SPEAK_EVERY = 5; // rounds between spoken messages
+const RING_VIBRATION = [400, 200, 400, 200, 800];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Ring until stopped: loop the tone or uploaded sound with a rising volume, repeat the
+// vibration and speak the message every few rounds. A profile without a tone rings with
+// the beep pattern; silent only vibrates. Returns a function that stops the ringing.
+export function startRinging(profile, message, { tone = null, soundBlob = null, silent = false } = {}) {
+  let stopped = false;
+  let currentAudio = null;
+  const startedAt = Date.now();
+  
+  const currentVolume = () => {
+    const progress = Math.min(1, (Date.now() - startedAt) / RING_RAMP_MS);
+    return profile.volume * (RING_START_VOLUME + (1 - RING_START_VOLUME) * progress);
+  };
+  
+  const ring = async () => {
+    for (let round = 0; !stopped; round++) {
+      if ('vibrate' in navigator) {
+        navigator.vibrate(RING_VIBRATION);
+      }
+      
+      if (!silent) {
+        try {
+          if (soundBlob) {
+            await playSoundBlob(soundBlob, currentVolume(), audio => { currentAudio = audio; });
+          } else {
+            await playTonePattern(tone || TONE_PATTERNS.beep, currentVolume());
+          }
+        } catch (error) {
+          console.error('Ringing sound failed, playing fallback:', error);
+          playFallbackSound();
+        }
+        
+        if (!stopped && profile.speak && message && round % RING_SPEAK_EVERY === 0 && audioInitialized) {
+          await speakText(message, true, 0, {
+            voiceURI: profile.voiceURI,
+            rate: profile.rate,
+            pitch: profile.pitch,
+            volume: currentVolume()
+          }).catch(() => {});
+        }
+      }
+      
+      await wait(silent ? RING_VIBRATION.reduce((sum, ms) => sum + ms, 0) + RING_PAUSE_MS : RING_PAUSE_MS);
+    }
+  };
+  ring();
+  
+  return () => {
+    stopped = true;
+    if (currentAudio) currentAudio.pause();
+    if ('vibrate' in navigator) navigator.vibrate(0);
+    if ('speechSynthesis' in window) window.speechSynthesis.cancel();
+  };
+}
+
 // Enhanced location access with iOS-specific handling
 export function requestLocationAccess(setIsTracking, setUserLocation, onError) {
   if (!navigator.geolocation) {
@@ -623,39 +819,6 @@ export function requestLocationAccess(setIsTracking, setUserLocation, onError) {
   );
 }
 
-// Enhanced distance calculation with validation
-export function getDistance(pos1, pos2) {
-  if (!pos1 || !pos2 || !Array.isArray(pos1) || !Array.isArray(pos2)) {
-    return Infinity;
-  }
-  
-  if (pos1.length < 2 || pos2.length < 2) {
-    return Infinity;
-  }
-  
-  const lat1 = parseFloat(pos1[0]);
-  const lon1 = parseFloat(pos1[1]);
-  const lat2 = parseFloat(pos2[0]);
-  const lon2 = parseFloat(pos2[1]);
-  
-  if (isNaN(lat1) || isNaN(lon1) || isNaN(lat2) || isNaN(lon2)) {
-    return Infinity;
-  }
-  
-  const R = 6371e3; // Earth's radius in meters
-  const φ1 = lat1 * Math.PI/180;
-  const φ2 = lat2 * Math.PI/180;
-  const Δφ = (lat2-lat1) * Math.PI/180;
-  const Δλ = (lon2-lon1) * Math.PI/180;
-
-  const a = Math.sin(Δφ/2) * Math.sin(Δφ/2) +
-          Math.cos(φ1) * Math.cos(φ2) *
-          Math.sin(Δλ/2) * Math.sin(Δλ/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-
-  return R * c;
-}
-
 // Create user location icon
 export function createUserLocationIcon() {
   if (!window.L) return null;